@@ -1,6 +1,17 @@
 export { default as Corpus } from './src/Corpus.js';
 export { default as Document } from './src/Document.js';
 export { default as TextDocument } from './src/TextDocument.js';
+export { default as NgramDocument } from './src/NgramDocument.js';
+export { default as FieldedDocument } from './src/FieldedDocument.js';
 export { default as Similarity } from './src/Similarity.js';
+export { default as Clustering } from './src/Clustering.js';
+export { default as NearDuplicates } from './src/NearDuplicates.js';
+export { default as Highlighter } from './src/Highlighter.js';
+export { default as Vocabulary } from './src/Vocabulary.js';
 export { default as Stopwords } from './src/Stopwords.js';
-export { default as defaultStopwords } from './src/defaultStopwords';
\ No newline at end of file
+export { default as QueryParser } from './src/QueryParser.js';
+export { default as Tokenizer } from './src/Tokenizer.js';
+export { default as Weighting } from './src/Weighting.js';
+export { default as LanguageDetector } from './src/LanguageDetector.js';
+export { default as defaultStopwords } from './src/defaultStopwords';
+export { default as porterStemmer } from './src/porterStemmer.js';
\ No newline at end of file
@@ -0,0 +1,99 @@
+/**
+ * A min-heap that keeps only the `capacity` highest scoring items given to it, for selecting the
+ * top-k results without sorting all of them.  Items with equal scores are kept in the order they
+ * were pushed.
+ * 
+ * @template T
+ * The type of the items.
+ */
+export default class BoundedHeap {
+
+  /**
+   * @param {number} capacity
+   * The maximum number of items to keep.
+   */
+  constructor(capacity) {
+    this._capacity = capacity;
+    /** @type {Array<{ item: T, score: number, order: number }>} */
+    this._entries = [];
+    this._pushed = 0;
+  }
+
+  /**
+   * Offers an item to the heap, which keeps it only if it is among the highest scoring so far.
+   * 
+   * @param {T} item
+   * The item to offer.
+   * @param {number} score
+   * The score of the item.
+   */
+  push(item, score) {
+    const entry = { item, score, order: this._pushed++ };
+    const entries = this._entries;
+    if (entries.length < this._capacity) {
+      entries.push(entry);
+      this._siftUp(entries.length - 1);
+    } else if (entries.length > 0 && BoundedHeap._isWorse(entries[0], entry)) {
+      entries[0] = entry;
+      this._siftDown(0);
+    }
+  }
+
+  /**
+   * Returns the kept items, sorted in descending order by score.
+   * 
+   * @returns {T[]}
+   */
+  toSortedArray() {
+    return this._entries
+      .slice()
+      .sort((a, b) => b.score - a.score || a.order - b.order)
+      .map(entry => entry.item);
+  }
+
+  /**
+   * Internal method that compares two entries; lower scores, and later items among equal scores,
+   * are worse.
+   * 
+   * @param {{ score: number, order: number }} a
+   * @param {{ score: number, order: number }} b
+   * @returns {boolean}
+   */
+  static _isWorse(a, b) {
+    return a.score < b.score || (a.score === b.score && a.order > b.order);
+  }
+
+  /**
+   * Internal method that moves the entry at `index` up until its parent is worse than it.
+   * 
+   * @param {number} index
+   */
+  _siftUp(index) {
+    const entries = this._entries;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (!BoundedHeap._isWorse(entries[index], entries[parent])) break;
+      [entries[index], entries[parent]] = [entries[parent], entries[index]];
+      index = parent;
+    }
+  }
+
+  /**
+   * Internal method that moves the entry at `index` down until its children are not worse than it.
+   * 
+   * @param {number} index
+   */
+  _siftDown(index) {
+    const entries = this._entries;
+    for (;;) {
+      const left = 2 * index + 1;
+      const right = left + 1;
+      let worst = index;
+      if (left < entries.length && BoundedHeap._isWorse(entries[left], entries[worst])) worst = left;
+      if (right < entries.length && BoundedHeap._isWorse(entries[right], entries[worst])) worst = right;
+      if (worst === index) break;
+      [entries[index], entries[worst]] = [entries[worst], entries[index]];
+      index = worst;
+    }
+  }
+}
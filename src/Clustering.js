@@ -0,0 +1,316 @@
+import Similarity from './Similarity.js';
+
+/**
+ * How the distance between two clusters is calculated from the distances between their
+ * documents: the smallest one (`'single'`), the largest one (`'complete'`) or their average
+ * (`'average'`).
+ * 
+ * @typedef {'single' | 'complete' | 'average'} Linkage
+ */
+
+/**
+ * @typedef ClusteringOptions
+ * @prop {string | import("./Similarity").Measure} [measure]
+ * How the similarity between two documents is calculated, as for {@link Similarity}.  Defaults to
+ * `'cosine'`.
+ * @prop {number} [maxTerms]
+ * The number of top terms that label each cluster.  Defaults to `10`.
+ * @prop {import("./Corpus").Contrast} [contrast]
+ * When given, clusters are labelled with the terms that set them apart from the rest of the
+ * corpus, as for {@link Corpus.getTopTermsForDocuments}, rather than with their heaviest terms.
+ */
+
+/**
+ * @typedef AgglomerativeOptions
+ * @prop {Linkage} [linkage]
+ * How the distance between two clusters is calculated.  Defaults to `'average'`.
+ * @prop {import("./Corpus").DocumentFilter} [filter]
+ * When given, only the documents it selects are clustered.
+ */
+
+/**
+ * @typedef KMeansOptions
+ * @prop {number} [maxIterations]
+ * The maximum number of times the documents are assigned to clusters.  Defaults to `100`.
+ * @prop {import("./Corpus").DocumentFilter} [filter]
+ * When given, only the documents it selects are clustered.
+ */
+
+/**
+ * A node of the tree (dendrogram) built by {@link Clustering.agglomerative}: either a single
+ * document, or the two clusters that were merged into it.
+ * 
+ * @typedef DendrogramNode
+ * @prop {string[]} identifiers
+ * The identifiers of the documents in the cluster.
+ * @prop {number} distance
+ * The distance between the two clusters that were merged into this one (`0` for a document).
+ * @prop {DendrogramNode[]} children
+ * The two clusters that were merged into this one, or none for a document.
+ * @prop {Array<[string, number]>} terms
+ * The top terms of the cluster, as pairs of a term and its score.
+ */
+
+/**
+ * A cluster found by {@link Clustering.kMeans}.
+ * 
+ * @typedef Cluster
+ * @prop {string[]} identifiers
+ * The identifiers of the documents in the cluster.
+ * @prop {Map<string, number>} centroid
+ * The average of the vectors of the documents in the cluster.
+ * @prop {Array<[string, number]>} terms
+ * The top terms of the cluster, as pairs of a term and its score.
+ */
+
+/**
+ * Returns the distance between a cluster and the one merged from two others, from its distances
+ * to them (the Lance-Williams formula for the given linkage).
+ * 
+ * @param {Linkage} linkage
+ * How the distance between two clusters is calculated.
+ * @param {number} distance1
+ * The distance to the first of the merged clusters.
+ * @param {number} distance2
+ * The distance to the second of the merged clusters.
+ * @param {number} size1
+ * The number of documents in the first of the merged clusters.
+ * @param {number} size2
+ * The number of documents in the second of the merged clusters.
+ * @returns {number}
+ */
+function toLinkageDistance(linkage, distance1, distance2, size1, size2) {
+  if (linkage === 'single') return Math.min(distance1, distance2);
+  if (linkage === 'complete') return Math.max(distance1, distance2);
+  return (size1 * distance1 + size2 * distance2) / (size1 + size2);
+}
+
+/**
+ * Returns the average of the given vectors.
+ * 
+ * @param {Array<Map<string, number>>} vectors
+ * The vectors to average, of which there must be at least one.
+ * @returns {Map<string, number>}
+ */
+function toCentroid(vectors) {
+  /** @type {Map<string, number>} */
+  const centroid = new Map();
+  for (const vector of vectors) {
+    for (const [term, weight] of vector) {
+      centroid.set(term, (centroid.get(term) || 0.0) + weight);
+    }
+  }
+  centroid.forEach((weight, term) => centroid.set(term, weight / vectors.length));
+  return centroid;
+}
+
+/**
+ * Groups the documents of a corpus by the similarity of their vectors, either into a tree of
+ * clusters (agglomerative clustering) or into a given number of clusters (k-means).  Each cluster
+ * is labelled with its top terms, those with the highest total weight across its documents (see
+ * {@link Corpus.getTopTermsForDocuments}).
+ */
+export default class Clustering {
+
+  /**
+   * @param {import("./Corpus").AnyCorpus} corpus
+   * Expects an instance of Corpus
+   * @param {ClusteringOptions} [options]
+   * An object to choose the measure of similarity and how clusters are labelled.
+   */
+  constructor(corpus, options) {
+    const { measure = 'cosine', maxTerms = 10, contrast } = options || {};
+    this._corpus = corpus;
+    // Keeps the distance matrix until the corpus changes
+    this._similarity = new Similarity(corpus, { measure });
+    this._measure = Similarity.getMeasure(measure);
+    this._maxTerms = maxTerms;
+    this._contrast = contrast;
+  }
+
+  /**
+   * Returns the clusters of the given tree after splitting it, from the top, at its largest
+   * distances until there are `k` of them (or as many as there are documents).  There are no
+   * clusters when there is no tree, because there were no documents.
+   * 
+   * @param {DendrogramNode | null} dendrogram
+   * The root of the tree, as returned by {@link Clustering.agglomerative}.
+   * @param {number} k
+   * The number of clusters.
+   * @returns {DendrogramNode[]}
+   */
+  static cut(dendrogram, k) {
+    if (!dendrogram) return [];
+    const clusters = [dendrogram];
+    while (clusters.length < k) {
+      let widest = -1;
+      clusters.forEach((node, i) => {
+        if (node.children.length === 0) return;
+        if (widest === -1 || node.distance > clusters[widest].distance) widest = i;
+      });
+      if (widest === -1) break;
+      clusters.splice(widest, 1, ...clusters[widest].children);
+    }
+    return clusters;
+  }
+
+  /**
+   * Clusters the documents agglomeratively: starting with each document on its own, the two
+   * closest clusters are merged until only one is left, which is returned as the root of a tree
+   * (a dendrogram).  Returns `null` when there are no documents.
+   * 
+   * @param {AgglomerativeOptions} [options]
+   * An object to choose the linkage and filter the documents.
+   * @returns {DendrogramNode | null}
+   */
+  agglomerative(options) {
+    const { linkage = 'average', filter } = options || {};
+    if (!['single', 'complete', 'average'].includes(linkage)) {
+      throw new Error(`unknown linkage \`${linkage}\``);
+    }
+    const { identifiers, matrix } = this._similarity.getDistanceMatrix(filter);
+    // The clusters that are left, at the index of their first document; merged ones are `null`
+    /** @type {Array<DendrogramNode | null>} */
+    const nodes = identifiers.map(identifier => this._toNode([identifier], 0.0, []));
+    const distances = matrix.map(row => row.slice());
+    for (let remaining = nodes.length; remaining > 1; remaining--) {
+      let first = -1;
+      let second = -1;
+      let closest = Infinity;
+      for (let i = 0; i < nodes.length; i++) {
+        if (!nodes[i]) continue;
+        for (let j = i + 1; j < nodes.length; j++) {
+          if (nodes[j] && distances[i][j] < closest) {
+            [first, second, closest] = [i, j, distances[i][j]];
+          }
+        }
+      }
+      const [node1, node2] = [nodes[first], nodes[second]];
+      // Only the distances to the merged cluster change
+      nodes.forEach((node, i) => {
+        if (!node || i === first || i === second) return;
+        const distance = toLinkageDistance(
+          linkage, distances[first][i], distances[second][i],
+          node1.identifiers.length, node2.identifiers.length
+        );
+        distances[first][i] = distance;
+        distances[i][first] = distance;
+      });
+      const merged = [...node1.identifiers, ...node2.identifiers];
+      nodes[first] = this._toNode(merged, closest, [node1, node2]);
+      nodes[second] = null;
+    }
+    return nodes.find(node => node) || null;
+  }
+
+  /**
+   * Clusters the documents into `k` clusters (or as many as there are documents) with k-means:
+   * each document is assigned to the cluster with the most similar centroid, and each centroid is
+   * moved to the average of its documents, until the clusters stop changing.  The first centroids
+   * are chosen deterministically, each being the document least similar to those already chosen.
+   * Clusters that end up empty are left out.
+   * 
+   * @param {number} k
+   * The number of clusters.
+   * @param {KMeansOptions} [options]
+   * An object to limit the iterations and filter the documents.
+   * @returns {Cluster[]}
+   */
+  kMeans(k, options) {
+    const { maxIterations = 100, filter } = options || {};
+    const identifiers = this._corpus.getDocumentIdentifiers(filter);
+    const vectors = identifiers.map(identifier => this._corpus.getDocumentVector(identifier));
+    let centroids = this._chooseCentroids(vectors, Math.min(k, vectors.length));
+    let assignments = vectors.map(() => -1);
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+      const next = vectors.map(vector => this._getClosest(vector, centroids).index);
+      const changed = next.some((c, i) => c !== assignments[i]);
+      assignments = next;
+      if (!changed) break;
+      centroids = centroids.map((centroid, c) => {
+        const members = vectors.filter((_, i) => assignments[i] === c);
+        return members.length > 0 ? toCentroid(members) : centroid;
+      });
+    }
+    return centroids
+      .map((centroid, c) => {
+        const members = identifiers.filter((_, i) => assignments[i] === c);
+        return { identifiers: members, centroid, terms: this._getTopTerms(members) };
+      })
+      .filter(cluster => cluster.identifiers.length > 0);
+  }
+
+  /**
+   * Internal method that chooses the first centroids for k-means: the first vector, followed by
+   * the vector least similar to its closest centroid so far, until there are `k` of them.
+   * 
+   * @param {Array<Map<string, number>>} vectors
+   * The vectors of the documents.
+   * @param {number} k
+   * The number of centroids.
+   * @returns {Array<Map<string, number>>}
+   */
+  _chooseCentroids(vectors, k) {
+    if (k <= 0) return [];
+    const centroids = [new Map(vectors[0])];
+    while (centroids.length < k) {
+      let farthest = 0;
+      let lowest = Infinity;
+      vectors.forEach((vector, i) => {
+        const { similarity } = this._getClosest(vector, centroids);
+        if (similarity < lowest) [farthest, lowest] = [i, similarity];
+      });
+      centroids.push(new Map(vectors[farthest]));
+    }
+    return centroids;
+  }
+
+  /**
+   * Internal method that returns the index of the centroid most similar to a vector (the first
+   * one among equally similar centroids), along with its similarity.
+   * 
+   * @param {Map<string, number>} vector
+   * The vector of a document.
+   * @param {Array<Map<string, number>>} centroids
+   * The centroids to compare it with.
+   * @returns {{ index: number, similarity: number }}
+   */
+  _getClosest(vector, centroids) {
+    let index = 0;
+    let similarity = -Infinity;
+    centroids.forEach((centroid, c) => {
+      const s = this._measure(vector, centroid);
+      if (s > similarity) [index, similarity] = [c, s];
+    });
+    return { index, similarity };
+  }
+
+  /**
+   * Internal method that builds a node of a dendrogram.
+   * 
+   * @param {string[]} identifiers
+   * The identifiers of the documents in the cluster.
+   * @param {number} distance
+   * The distance at which the children were merged.
+   * @param {DendrogramNode[]} children
+   * The children of the node.
+   * @returns {DendrogramNode}
+   */
+  _toNode(identifiers, distance, children) {
+    return { identifiers, distance, children, terms: this._getTopTerms(identifiers) };
+  }
+
+  /**
+   * Internal method that returns the top terms of a cluster, as pairs of a term and its score,
+   * sorted in descending order by the score.
+   * 
+   * @param {string[]} identifiers
+   * The identifiers of the documents in the cluster.
+   * @returns {Array<[string, number]>}
+   */
+  _getTopTerms(identifiers) {
+    return this._corpus.getTopTermsForDocuments(identifiers, this._maxTerms, {
+      contrast: this._contrast
+    });
+  }
+}
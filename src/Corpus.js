@@ -1,6 +1,14 @@
 import Document from './Document.js';
 import TextDocument from './TextDocument.js';
+import NgramDocument from './NgramDocument.js';
+import FieldedDocument from './FieldedDocument.js';
 import Stopwords from './Stopwords.js';
+import BoundedHeap from './BoundedHeap.js';
+import QueryParser from './QueryParser.js';
+import Tokenizer from './Tokenizer.js';
+import LanguageDetector from './LanguageDetector.js';
+import Weighting from './Weighting.js';
+import Vocabulary from './Vocabulary.js';
 
 /**
  * @typedef CorpusOptions
@@ -12,8 +20,357 @@ import Stopwords from './Stopwords.js';
  * @prop {number} [b]
  * Modifies document length (between 0 and 1; 1 means that long documents are repetitive and
  * 0 means they are multitopic).  Defaults to `0.75`.
+ * @prop {NgramCorpusOptions | null} [ngrams]
+ * When given, strings converted into documents become {@link NgramDocument} instances, so that
+ * phrases are weighted alongside single words.  Their stopwords are the corpus's stopwords.
+ * Defaults to `null`.
+ * @prop {Tokenizer | import("./Tokenizer").TokenizerOptions} [tokenizer]
+ * The pipeline that turns text into terms.  It is applied to texts converted into documents and
+ * to queries, and its normalizers and stemmer are applied to the stopwords.  Defaults to the
+ * default {@link Tokenizer}.
+ * @prop {((word: string) => string) | null} [stemmer]
+ * A function that reduces each word to its stem or lemma, such as the included
+ * {@link porterStemmer}; when given, it replaces the stemmer of the `tokenizer`.  Defaults to
+ * `null`.
+ * @prop {boolean | LanguageDetector} [detectLanguage]
+ * When `true` (or given a {@link LanguageDetector}), each document whose language is not yet
+ * known is tagged with the language detected for it.  Defaults to `false`.  Whether detected or
+ * set beforehand, the language of a document adds the bundled stopwords of that language (see
+ * {@link Stopwords.forLanguage}) to the ones applied to it.
+ * @prop {string | import("./Weighting").TermWeighting} [weighting]
+ * How the combined weight of a term in a document is calculated: one of `'bm25'`, `'bm25+'`,
+ * `'bm25l'`, `'tfidf'` and `'log-tfidf'` (see {@link Weighting}), or a custom function.
+ * Defaults to `'bm25'`.
+ * @prop {string | import("./Weighting").IdfWeighting} [idf]
+ * How the collection frequency weight (inverse document frequency) of a term is calculated: one
+ * of `'bm25'`, `'classic'` and `'probabilistic'` (see {@link Weighting}), or a custom function.
+ * Defaults to `'bm25'`.
+ * @prop {number | null} [delta]
+ * The lower bound that `'bm25+'` and `'bm25l'` add to term frequencies.  Defaults to `null`,
+ * which uses the default of the weighting.
+ * @prop {Record<string, FieldOptions>} [fields]
+ * The options of each field of the {@link FieldedDocument} instances in the corpus, whose terms
+ * are weighted with BM25F.  Fields that are not given keep the defaults.  Defaults to `{}`.
  */
 
+/**
+ * @typedef FieldOptions
+ * @prop {number} [boost]
+ * How much more the terms of the field count than those of other fields.  Defaults to `1`.
+ * @prop {number} [b]
+ * Modifies the length of the field, as the `b` option of the corpus does for the length of the
+ * document.  Defaults to the `b` option of the corpus.
+ */
+
+/**
+ * Arbitrary information about a document, such as its date, author or category, which a
+ * {@link DocumentFilter} can select documents by.  It should be serializable as JSON, so it can be
+ * included in snapshots.
+ * 
+ * @typedef {Record<string, any>} Metadata
+ */
+
+/**
+ * Selects documents, either with a function that returns whether a document is selected, or with
+ * an object in which each property is a condition on the metadata property of the same name: a
+ * value that must be equal to it (or be included in it, when it is an array), an array of such
+ * values of which any is enough, or a function that returns whether its value is selected.
+ * 
+ * @typedef {(
+ *   ((metadata: Metadata, identifier: string, document: Document) => boolean) |
+ *   Record<string, any>
+ * )} DocumentFilter
+ */
+
+/**
+ * @typedef NgramCorpusOptions
+ * @prop {number} [n]
+ * The longest n-gram to build, in words.  Defaults to `2` (bigrams).
+ * @prop {import("./NgramDocument").StopwordRule} [stopwordRule]
+ * How n-grams are built around stopwords.  Defaults to `'split'`.
+ */
+
+/**
+ * @typedef QueryOptions
+ * @prop {number} [limit]
+ * The maximum number of results to return.  Defaults to returning every result.
+ * @prop {number} [offset]
+ * The number of highest scoring results to skip, for pagination.  Defaults to `0`.
+ * @prop {number} [minScore]
+ * The minimum score a document must have to be a result.  Documents must always score above
+ * zero.
+ * @prop {ProximityOptions} [proximity]
+ * When given, boosts the scores of documents in which the query terms appear close together.
+ * @prop {number} [k3]
+ * Modifies how much repeating a word in the query adds to its weight, as in BM25: `0` ignores
+ * repetitions, and higher values make the weight grow closer to the number of repetitions.
+ * Defaults to `0`.
+ * @prop {boolean} [normalize]
+ * Whether to divide each score by the highest score that any document could reach for the
+ * query, so that scores are between 0 and 1 and can be compared across queries.  Defaults to
+ * `false`.
+ * @prop {DocumentFilter} [filter]
+ * When given, only the documents it selects can be results.
+ * @prop {number} [maxExpansions]
+ * The maximum number of terms that a word ending with `*` or `~` matches; the closest ones (and,
+ * among those, the most common ones) are kept.  Defaults to `50`.
+ * @prop {FeedbackOptions} [feedback]
+ * When given, the query is expanded with terms of the documents known to be relevant (or, by
+ * default, of its highest scoring documents) before it is run, to find more relevant documents.
+ */
+
+/**
+ * @typedef ProximityOptions
+ * @prop {number} [window]
+ * The greatest distance, in words, between two query terms for them to count as close together.
+ * Defaults to `5`.
+ * @prop {number} [boost]
+ * How much to boost a document in which every pair of query terms is close together; its score
+ * is multiplied by `1 + boost`, and by less when only some pairs are.  Defaults to `0.5`.
+ */
+
+/**
+ * @typedef FeedbackOptions
+ * @prop {string[]} [relevant]
+ * The identifiers of the documents known to be relevant to the query.  By default, the highest
+ * scoring documents of the query are assumed to be relevant (pseudo-relevance feedback).
+ * @prop {string[]} [nonRelevant]
+ * The identifiers of the documents known not to be relevant to the query.  Defaults to none.
+ * @prop {number} [documents]
+ * The number of highest scoring documents assumed to be relevant, when `relevant` is not given.
+ * Defaults to `10`.
+ * @prop {number} [terms]
+ * The maximum number of terms to expand the query with.  Defaults to `10`.
+ * @prop {number} [alpha]
+ * How much the words of the query count, compared with the terms it is expanded with.  Defaults
+ * to `1`.
+ * @prop {number} [beta]
+ * How much the relevant documents add to the weight of an expansion term.  Defaults to `0.75`.
+ * @prop {number} [gamma]
+ * How much the non-relevant documents take away from the weight of an expansion term.  Defaults
+ * to `0.15`.
+ */
+
+/**
+ * A node that scores each document by the dot product of its vector with the given one; it is
+ * added to the top-level group of a parsed query to expand it with weighted terms.
+ * 
+ * @typedef VectorNode
+ * @prop {'vector'} type
+ * @prop {Map<string, number>} vector
+ * @prop {number} [boost]
+ */
+
+/**
+ * A clause of a parsed query, along with how many times its terms were repeated in the group and
+ * the largest boost they were given.
+ * 
+ * @typedef {import("./QueryParser").QueryClause & { count: number, boost: number }} WeightedClause
+ */
+
+/**
+ * @typedef PhraseOptions
+ * @prop {number} [window]
+ * When given, the terms of the phrase (other than stopwords) may appear in any order, as long as
+ * they are all within this many words of each other.  By default, the words of the phrase must
+ * appear together and in order.
+ */
+
+/**
+ * @typedef StopwordSuggestionOptions
+ * @prop {number} [maxDocumentFraction]
+ * Terms that appear in more than this fraction of the documents are suggested.  Defaults to
+ * `0.5`.
+ * @prop {number} [minIdf]
+ * Terms whose collection frequency weight (inverse document frequency) is below this are
+ * suggested.  Defaults to `0`, which suggests no terms by their weight alone.
+ * @prop {number} [limit]
+ * The maximum number of terms to suggest.  Defaults to `30`.
+ * @prop {DocumentFilter} [filter]
+ * When given, the fraction of the documents that a term appears in is only counted among the
+ * documents it selects, and terms that none of them contain are not suggested.
+ */
+
+/**
+ * How the terms of a group of documents are compared with those of the rest of the corpus: with
+ * the log-likelihood ratio (`'logLikelihood'`, which is more reliable for rare terms) or with
+ * Pearson's chi-square test (`'chiSquare'`).
+ * 
+ * @typedef {'logLikelihood' | 'chiSquare'} Contrast
+ */
+
+/**
+ * @typedef TopTermsOptions
+ * @prop {Contrast} [contrast]
+ * When given, terms are scored by how much more often they occur in the group of documents than
+ * in the rest of the corpus, rather than by their total weight in the group.
+ * @prop {DocumentFilter} [filter]
+ * When given, only the documents it selects are in the group, and the rest of the corpus that
+ * the group is contrasted with is only made of the other documents it selects.
+ */
+
+/**
+ * @typedef FilterOptions
+ * @prop {DocumentFilter} [filter]
+ * When given, a document that it does not select has no terms to return.
+ */
+
+/**
+ * @typedef SuggestionOptions
+ * @prop {number} [limit]
+ * The maximum number of terms to suggest.  Defaults to `5`.
+ * @prop {number} [maxDistance]
+ * The largest number of edits between a misspelled word and a suggested term.  Defaults to `2`.
+ */
+
+/**
+ * A term of the corpus suggested for a word that was partly typed or misspelled.
+ * 
+ * @typedef Suggestion
+ * @prop {string} term
+ * The suggested term.
+ * @prop {string} surface
+ * The most common surface form of the term (see {@link Corpus.getSurfaceForm}), for display.
+ * @prop {number} distance
+ * The number of edits between the word and the term, or `0` when the term starts with the word.
+ * @prop {number} frequency
+ * The number of documents that contain the term.
+ */
+
+/**
+ * An array of pairs of a document identifier and a score, sorted in descending order by the
+ * score, that also reports the total number of documents that matched (before `limit` and
+ * `offset` were applied).
+ * 
+ * @typedef {Array<[string, number]> & { total: number }} QueryResults
+ */
+
+/**
+ * A breakdown of the score of a document for a query, returned by {@link Corpus.explain}.
+ * 
+ * @typedef Explanation
+ * @prop {string} identifier
+ * The identifier of the document.
+ * @prop {number} score
+ * The score of the document for the query, as in {@link Corpus.getResultsForQuery}, or `0` when
+ * the document does not match it.
+ * @prop {boolean} matched
+ * Whether the document matches the query.
+ * @prop {number} K1
+ * The `K1` option of the corpus.
+ * @prop {number} b
+ * The `b` option of the corpus.
+ * @prop {number} length
+ * The length of the document.
+ * @prop {number} averageLength
+ * The average length of the documents in the collection.
+ * @prop {number} ndl
+ * The normalized length of the document (its length divided by the average length).
+ * @prop {TermExplanation[]} terms
+ * The terms of the query that documents are scored by, in the order they appear in the query.
+ * @prop {string[]} stopwords
+ * The terms of the query that were dropped because they are stopwords, including those of the
+ * document's language.
+ * @prop {string[]} outOfVocabulary
+ * The terms of the query that were dropped because no document contains them.
+ * @prop {string[]} excluded
+ * The terms of the excluded clauses of the query, which the document must not match.
+ */
+
+/**
+ * How a term of a query is weighted in a document.
+ * 
+ * @typedef TermExplanation
+ * @prop {string} term
+ * The term.
+ * @prop {number} tf
+ * How often the term appears in the document.
+ * @prop {number} idf
+ * The collection frequency weight (inverse document frequency) of the term.
+ * @prop {number} lengthNormalization
+ * How the length of the document scales `K1` in BM25, `1 - b + b * ndl` (the contribution of `b`).
+ * @prop {number} saturation
+ * The term frequency after it is saturated as in BM25, `tf * (K1 + 1) / (K1 * lengthNormalization
+ * + tf)` (the contribution of `K1`); the BM25 weight is this times the `idf`.
+ * @prop {number} weight
+ * The combined weight of the term in the document, with the `weighting` of the corpus (which
+ * may not be BM25, and is BM25F for a {@link FieldedDocument}).
+ * @prop {boolean} counted
+ * Whether the term counts towards the score of the document: it does not when the document does
+ * not match the query, or when the term only appears in it outside of the clauses of the query
+ * that contain the term (such as in another field than the one a clause is restricted to, or
+ * not as part of a phrase).
+ * @prop {FieldExplanation[]} [fields]
+ * For a {@link FieldedDocument}, how each field that contains the term counts towards the weight.
+ */
+
+/**
+ * How a field of a {@link FieldedDocument} counts towards the weight of a term.
+ * 
+ * @typedef FieldExplanation
+ * @prop {string} field
+ * The name of the field.
+ * @prop {number} tf
+ * How often the term appears in the field.
+ * @prop {number} ndl
+ * The normalized length of the field (its length divided by the average length of the field).
+ * @prop {number} boost
+ * The boost of the field.
+ * @prop {number} b
+ * The `b` of the field.
+ */
+
+/**
+ * A versioned, plain-object representation of a {@link Corpus}, produced by
+ * {@link Corpus.toJSON} and restored by {@link Corpus.fromJSON}.
+ * 
+ * @typedef CorpusSnapshot
+ * @prop {number} version
+ * The version of the snapshot format.
+ * @prop {CorpusOptions & { stemmed?: boolean, customTokenizer?: boolean }} options
+ * The options the corpus was created with.  Since the tokenizer and stemmer can not be saved,
+ * `stemmed` and `customTokenizer` record whether they were used, so they are not forgotten when
+ * the snapshot is restored.
+ * @prop {Array<
+ *   [string, import("./Document").DocumentSnapshot] |
+ *   [string, import("./Document").DocumentSnapshot, Metadata]
+ * >} documents
+ * Pairs of each document identifier and a snapshot of the document, followed by the metadata of
+ * the document when it has any.
+ * @prop {CorpusWeightsSnapshot} [weights]
+ * The calculated weights, when they were included.
+ */
+
+/**
+ * @typedef CorpusWeightsSnapshot
+ * @prop {Array<[string, number]>} collectionFrequencyWeights
+ * Pairs of each term and its collection frequency weight.
+ * @prop {Array<[string, Array<[string, number]>]>} [documentVectors]
+ * Pairs of each document identifier and the entries of its vector.
+ */
+
+/**
+ * @typedef SnapshotOptions
+ * @prop {boolean} [includeText]
+ * Whether to include the text of each {@link TextDocument}.  Defaults to `true`; without it,
+ * the restored documents are plain {@link Document} instances.
+ * @prop {boolean} [includeWeights]
+ * Whether to include the collection frequency weights and document vectors, so they need not
+ * be recalculated when the snapshot is restored.  Defaults to `false`.
+ */
+
+/**
+ * The current version of {@link CorpusSnapshot}.
+ */
+const snapshotVersion = 1;
+
+/**
+ * The defaults of {@link ProximityOptions}.
+ * 
+ * @type {Required<ProximityOptions>}
+ */
+const defaultProximity = { window: 5, boost: 0.5 };
+
 /**
  * An object holding our defaults for later composition.
  * 
@@ -22,12 +379,144 @@ import Stopwords from './Stopwords.js';
 const defaultOptions = {
   stopwords: [],
   K1: 2.0,
-  b: 0.75
+  b: 0.75,
+  ngrams: null,
+  tokenizer: undefined,
+  stemmer: null,
+  detectLanguage: false,
+  weighting: 'bm25',
+  idf: 'bm25',
+  delta: null,
+  fields: {}
 };
 
+/**
+ * Combines the given options with our defaults, converting the tokenizer into a
+ * {@link Tokenizer} instance that includes the stemmer, and the stopwords into a
+ * {@link Stopwords} instance that also includes them as the tokenizer would produce them.
+ * 
+ * @param {CorpusOptions} [options]
+ * An object to define initialization options.
+ * @returns {Required<CorpusOptions> & { stopwords: Stopwords, tokenizer: Tokenizer }}
+ */
+function toConfig(options) {
+  const config = { ...defaultOptions, ...options };
+  let tokenizer = Tokenizer.from(config.tokenizer);
+  if (config.stemmer) {
+    tokenizer = tokenizer.with({ stemmer: config.stemmer });
+  }
+  const stopwords = toTermStopwords(Stopwords.from(config.stopwords), tokenizer);
+  return { ...config, stopwords, tokenizer };
+}
+
+/**
+ * Returns the given stopwords, adding them as the given tokenizer would produce them when any of
+ * them differ, since terms may be normalized or stemmed.
+ * 
+ * @param {Stopwords} stopwords
+ * The stopwords, as written.
+ * @param {Tokenizer} tokenizer
+ * The pipeline that turns text into terms.
+ * @returns {Stopwords}
+ */
+function toTermStopwords(stopwords, tokenizer) {
+  const stopwordTerms = stopwords.getStopwordList().map(word => tokenizer.toTerm(word));
+  if (stopwordTerms.some(term => !stopwords.includes(term))) {
+    return stopwords.with(stopwordTerms);
+  }
+  return stopwords;
+}
+
+/**
+ * Converts the contents of a document into a {@link Document}, only when it is not already an
+ * instance, in the way the given options ask for.  Contents that are neither a string nor a
+ * {@link Document} are the fields of a {@link FieldedDocument}.
+ * 
+ * @param {string | Record<string, string> | Document} contents
+ * A {@link Document} instance, or a string or fields to build one from.
+ * @param {CorpusOptions} config
+ * The options of the corpus the document is for.
+ * @returns {Document}
+ */
+function toDocument(contents, config) {
+  if (contents instanceof Document) return contents;
+  const { stopwords, tokenizer } = config;
+  if (typeof contents !== 'string') {
+    return new FieldedDocument(contents, { tokenizer });
+  }
+  if (config.ngrams) {
+    return new NgramDocument(contents, { ...config.ngrams, stopwords, tokenizer });
+  }
+  return new TextDocument(contents, { tokenizer });
+}
+
+/**
+ * Returns whether a metadata value meets a condition of a {@link DocumentFilter} object.
+ * 
+ * @param {any} value
+ * The value of a metadata property, which is `undefined` when the document does not have it.
+ * @param {any} condition
+ * A value, an array of values or a function.
+ * @returns {boolean}
+ */
+function meetsCondition(value, condition) {
+  if (typeof condition === 'function') return Boolean(condition(value));
+  if (Array.isArray(condition)) return condition.some(c => meetsCondition(value, c));
+  if (Array.isArray(value)) return value.includes(condition);
+  return value === condition;
+}
+
+/**
+ * Returns how much more often a term occurs in a group of documents than in the rest of the
+ * corpus, from the 2x2 table of the occurrences of the term and of all other terms in each: the
+ * log-likelihood ratio (G-squared) or Pearson's chi-square statistic of the table, or `0` when the
+ * term is not more frequent in the group.
+ * 
+ * @param {Contrast} contrast
+ * The statistic to calculate.
+ * @param {number} count1
+ * The number of occurrences of the term in the group.
+ * @param {number} total1
+ * The total number of occurrences of all terms in the group.
+ * @param {number} count2
+ * The number of occurrences of the term in the rest of the corpus.
+ * @param {number} total2
+ * The total number of occurrences of all terms in the rest of the corpus.
+ * @returns {number}
+ */
+function contrastTerm(contrast, count1, total1, count2, total2) {
+  if (total1 <= 0 || total2 <= 0 || count1 / total1 <= count2 / total2) return 0.0;
+  const total = total1 + total2;
+  const count = count1 + count2;
+  const cells = [
+    [count1, (total1 * count) / total],
+    [total1 - count1, (total1 * (total - count)) / total],
+    [count2, (total2 * count) / total],
+    [total2 - count2, (total2 * (total - count)) / total]
+  ];
+  return cells.reduce((sum, [observed, expected]) => {
+    if (expected <= 0) return sum;
+    if (contrast === 'chiSquare') return sum + Math.pow(observed - expected, 2) / expected;
+    return observed > 0 ? sum + 2 * observed * Math.log(observed / expected) : sum;
+  }, 0.0);
+}
+
+/**
+ * Returns whether a node of a parsed query is a word that matches several terms, because it ends
+ * with `*` or `~`.
+ * 
+ * @param {import("./QueryParser").QueryNode} node
+ * The node of the query.
+ * @returns {node is import("./QueryParser").TermNode}
+ */
+function isExpanded(node) {
+  return node.type === 'term' && (node.prefix === true || typeof node.fuzzy === 'number');
+}
+
 /**
  * Implements TF-IDF (Term Frequency - Inverse Document Frequency) using BM25 weighting, from:
  * https://www.cl.cam.ac.uk/techreports/UCAM-CL-TR-356.pdf
+ * Other weighting schemes can be chosen with the `weighting` and `idf` options.
  *
  * Calculates term frequencies, term weights, and term vectors, and can return results for a given
  * query. Creates a Document for every text and also manages stopwords for the collection.
@@ -38,25 +527,62 @@ const defaultOptions = {
 export default class Corpus {
 
   /**
-   * @param {Iterable<[string, TDoc]>} documents
-   * An iterable of key-value-pairs, an identifier to a {@link Document}.
+   * @param {Iterable<[string, TDoc] | [string, TDoc, Metadata]>} documents
+   * An iterable of key-value-pairs, an identifier to a {@link Document}, optionally followed by
+   * the metadata of the document.
    * @param {CorpusOptions} [options]
    * An object to define initialization options.
    */
   constructor(documents, options) {
-    const config = { ...defaultOptions, ...options };
-    this._stopwords = Stopwords.from(config.stopwords);
+    const config = toConfig(options);
+    this._stopwords = config.stopwords;
     this._K1 = config.K1;
     this._b = config.b;
+    this._delta = config.delta;
+    this._weighting = config.weighting;
+    this._idf = config.idf;
+    this._termWeighting = Weighting.getTermWeighting(config.weighting);
+    this._idfWeighting = Weighting.getIdfWeighting(config.idf);
+    this._fields = config.fields;
+    // The average length of each field of the fielded documents, calculated when first needed
+    /** @type {Map<string, number> | null} */
+    this._averageFieldLengths = null;
+    this._ngrams = config.ngrams;
+    this._tokenizer = config.tokenizer;
+    // Recorded in snapshots, since the tokenizer itself can not be saved
+    this._hasCustomTokenizer = Boolean(options && options.tokenizer !== undefined);
+    /** @type {LanguageDetector | null} */
+    this._languageDetector = config.detectLanguage === true
+      ? new LanguageDetector()
+      : config.detectLanguage || null;
+    // The stopwords applied to documents of each language, built when first needed
+    /** @type {Map<string, Stopwords>} */
+    this._languageStopwords = new Map();
 
     /** @type {Map<string, TDoc>} */
-    this._documents = new Map(documents);
+    this._documents = new Map();
+    // The metadata of each document that was given any
+    /** @type {Map<string, Metadata>} */
+    this._metadata = new Map();
+    for (const [identifier, document, metadata] of documents) {
+      this._documents.set(identifier, document);
+      this._setMetadata(identifier, metadata);
+    }
+    this._documents.forEach(document => this._detectLanguage(document));
+    // Incremented whenever the collection changes, so dependents can tell when a cache is stale
+    this._revision = 0;
     /** @type {Map<string, number> | null} */
     this._collectionFrequencies = null;
     /** @type {Map<string, number> | null} */
     this._collectionFrequencyWeights = null;
     /** @type {Map<string, Map<string, number>> | null} */
     this._documentVectors = null;
+    // The inverted index: for each term, a postings list from each identifier of a document
+    // containing the term to the term's combined weight in that document
+    /** @type {Map<string, Map<string, number>> | null} */
+    this._postings = null;
+    /** @type {Vocabulary | null} */
+    this._vocabulary = null;
   }
 
   /**
@@ -88,269 +614,1925 @@ export default class Corpus {
 
   /**
    * Builds a {@link Corpus} from an iterable of key-value-pairs.  If a value in `documentKvps`
-   * is a string, it will be converted into a {@link TextDocument}.
+   * is a string, it will be converted into a {@link TextDocument} (or an {@link NgramDocument},
+   * when the `ngrams` option is given).
    * 
-   * @param {Iterable<[string, string | Document]>} documentKvps
+   * @param {Iterable<[string, any] | [string, any, Metadata]>} documentKvps
    * An iterable of key-value-pairs, an identifier to either a {@link Document} or a string that
-   * should be treated as its contents.
+   * should be treated as its contents, optionally followed by the metadata of the document.
    * @param {CorpusOptions} [options]
    * An object to define initialization options.
    * @returns {AnyCorpus}
    */
   static fromKvps(documentKvps, options) {
-    /** @returns {Iterable<[string, Document]>} */
+    const config = toConfig(options);
+    /** @returns {Iterable<[string, Document, Metadata | undefined]>} */
     function* toKvps() {
-      for (const [id, contents] of documentKvps)
-        yield [id, TextDocument.from(contents)];
+      for (const [id, contents, metadata] of documentKvps)
+        yield [id, toDocument(contents, config), metadata];
     }
     return new this(toKvps(), options);
   }
 
   /**
-   * Internal method that determines how many documents in the collection contain each term
+   * Restores a {@link Corpus} from a snapshot produced by {@link Corpus.toJSON}.  Documents with
+   * text are rebuilt from it, as in {@link Corpus.fromKvps}; the others are plain
+   * {@link Document} instances built from their term frequencies.
+   * 
+   * @param {CorpusSnapshot | string} snapshot
+   * The snapshot, or a JSON string containing one.
+   * @param {CorpusOptions} [options]
+   * Options that can not be saved in a snapshot, such as the `tokenizer` and `stemmer`; these
+   * are combined with the options in the snapshot.
+   * @returns {AnyCorpus}
    */
-  _calculateCollectionFrequencies() {
-    this._collectionFrequencies = new Map();
-    for (const document of this._documents.values()) {
-      document
-        .getUniqueTerms()
-        .filter(t => !this._stopwords.includes(t))
-        .forEach(term => {
-          if (this._collectionFrequencies.has(term)) {
-            const n = this._collectionFrequencies.get(term);
-            this._collectionFrequencies.set(term, n + 1);
-          } else {
-            this._collectionFrequencies.set(term, 1);
-          }
-        });
+  static fromJSON(snapshot, options) {
+    const data = typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot;
+    if (!data || data.version !== snapshotVersion) {
+      throw new Error(`unsupported snapshot version \`${data && data.version}\``);
+    }
+
+    const { stemmed = false, customTokenizer = false, ...saved } = data.options;
+    const corpusOptions = { ...saved, ...options };
+    const config = toConfig(corpusOptions);
+    // Terms would silently differ from those of the snapshot without the same pipeline
+    if (customTokenizer && corpusOptions.tokenizer === undefined) {
+      throw new Error('the snapshot was made with a custom `tokenizer`, which must be given again');
     }
+    if (stemmed && !config.tokenizer.hasStemmer()) {
+      throw new Error('the snapshot was made with a `stemmer`, which must be given again');
+    }
+    /** @returns {Iterable<[string, Document, Metadata | undefined]>} */
+    function* toKvps() {
+      for (const [id, document, metadata] of data.documents) {
+        const contents = typeof document.text === 'string' ? document.text : document.fields;
+        if (!contents) {
+          yield [id, Document.fromJSON(document), metadata];
+          continue;
+        }
+        const restored = toDocument(contents, config);
+        restored.setLanguage(document.language || null);
+        yield [id, restored, metadata];
+      }
+    }
+    const corpus = new this(toKvps(), corpusOptions);
+
+    if (data.weights) {
+      const { collectionFrequencyWeights, documentVectors } = data.weights;
+      corpus._calculateCollectionFrequencies();
+      corpus._collectionFrequencyWeights = new Map(collectionFrequencyWeights);
+      if (documentVectors) {
+        corpus._documentVectors = new Map();
+        corpus._postings = new Map();
+        for (const [id, entries] of documentVectors) {
+          corpus._setDocumentVector(id, new Map(entries));
+        }
+      }
+    }
+    return corpus;
   }
 
   /**
-   * Returns an array containing the unique terms used in the corpus (excluding stopwords)
+   * Returns a versioned snapshot of this corpus that can be converted to JSON and restored with
+   * {@link Corpus.fromJSON}.  This is also what `JSON.stringify` uses.
    * 
-   * @returns {string[]}
+   * @param {SnapshotOptions} [options]
+   * An object to define what is included in the snapshot.
+   * @returns {CorpusSnapshot}
    */
-  getTerms() {
-    if (!this._collectionFrequencies) {
-      this._calculateCollectionFrequencies();
+  toJSON(options) {
+    // `JSON.stringify` passes the property name as the argument
+    const config = typeof options === 'object' ? options : {};
+    const { includeText = true, includeWeights = false } = config;
+
+    /** @type {CorpusSnapshot} */
+    const snapshot = {
+      version: snapshotVersion,
+      options: {
+        stopwords: this._stopwords.getStopwordList(),
+        K1: this._K1,
+        b: this._b,
+        ngrams: this._ngrams,
+        detectLanguage: Boolean(this._languageDetector),
+        // Custom functions can not be saved, and must be passed to `fromJSON` again
+        ...(typeof this._weighting === 'string' ? { weighting: this._weighting } : {}),
+        ...(typeof this._idf === 'string' ? { idf: this._idf } : {}),
+        delta: this._delta,
+        fields: this._fields,
+        stemmed: this._tokenizer.hasStemmer(),
+        customTokenizer: this._hasCustomTokenizer
+      },
+      documents: Array.from(this._documents).map(
+        /** @type {(kvp: [string, Document]) => any} */
+        ([id, document]) => {
+          const entry = [id, document.toJSON({ includeText })];
+          return this._metadata.has(id) ? [...entry, this._metadata.get(id)] : entry;
+        }
+      )
+    };
+
+    if (includeWeights) {
+      if (!this._documentVectors) {
+        this._calculateDocumentVectors();
+      }
+      snapshot.weights = {
+        collectionFrequencyWeights: Array.from(this._collectionFrequencyWeights),
+        documentVectors: Array.from(this._documentVectors).map(
+          /** @type {(kvp: [string, Map<string, number>]) => [string, Array<[string, number]>]} */
+          ([id, vector]) => [id, Array.from(vector)]
+        )
+      };
     }
-    return Array.from(this._collectionFrequencies.keys());
+    return snapshot;
   }
 
   /**
-   * Returns the number of documents in the collection that contain the given term
+   * Adds a document to the corpus.  If `document` is a string, it will be converted into a
+   * document as in {@link Corpus.fromKvps}.
    * 
-   * @param {string} term
-   * The term to query.
-   * @returns {number}
+   * Collection frequencies are updated in place; since adding a document changes the number of
+   * documents in the collection, which every collection frequency weight depends on, the weights
+   * and vectors will be recalculated the next time they are needed.
+   * 
+   * @param {string} identifier
+   * The identifier of the new document.
+   * @param {TDoc | string} document
+   * The document to add, or a string that should be treated as its contents.
+   * @param {Metadata} [metadata]
+   * The metadata of the document.
    */
-  getCollectionFrequency(term) {
-    if (!this._collectionFrequencies) {
-      this._calculateCollectionFrequencies();
+  addDocument(identifier, document, metadata) {
+    if (this._documents.has(identifier)) {
+      throw new Error(`a document with identifier \`${identifier}\` already exists`);
     }
-    const cf = this._collectionFrequencies.get(term);
-    return typeof cf !== 'number' ? 0 : cf;
+    this._changeDocument(identifier, document);
+    this._setMetadata(identifier, metadata);
   }
 
   /**
-   * Returns the Document corresponding to the given identifier.
+   * Removes a document from the corpus.  As with {@link Corpus.addDocument}, collection
+   * frequencies are updated in place and the weights and vectors are recalculated lazily.
    * 
    * @param {string} identifier
-   * The identifier of a document.
-   * @returns {TDoc | undefined}
+   * The identifier of the document to remove.
+   * @returns {boolean}
+   * Whether a document with that identifier existed.
    */
-  getDocument(identifier) {
-    return this._documents.get(identifier);
+  removeDocument(identifier) {
+    if (!this._documents.has(identifier)) return false;
+    this._changeDocument(identifier, null);
+    this._metadata.delete(identifier);
+    return true;
   }
 
   /**
-   * Returns an array of all identifiers in the corpus.
+   * Replaces the document with the given identifier.  If `document` is a string, it will be
+   * converted into a document as in {@link Corpus.fromKvps}.
    * 
-   * @returns {string[]}
+   * The number of documents does not change, so only the collection frequency weights of terms
+   * that were gained or lost are recalculated.  If the average document length is also unchanged,
+   * only the vector of the updated document and the entries for those terms in other vectors are
+   * recalculated.
+   * 
+   * @param {string} identifier
+   * The identifier of the document to replace.
+   * @param {TDoc | string} document
+   * The new document, or a string that should be treated as its contents.
+   * @param {Metadata | null} [metadata]
+   * The new metadata of the document, or `null` to remove it.  When not given, the document keeps
+   * its metadata.
    */
-  getDocumentIdentifiers() {
-    return Array.from(this._documents.keys());
+  updateDocument(identifier, document, metadata) {
+    if (!this._documents.has(identifier)) {
+      throw new Error(`no document with identifier \`${identifier}\` exists`);
+    }
+    this._changeDocument(identifier, document);
+    if (metadata !== undefined) this._setMetadata(identifier, metadata);
   }
 
   /**
-   * Returns an array of the terms that the documents with these two identifiers have in common;
-   * each array entry is a pair of a term and a score, and the array is sorted in descending order
-   * by the score, with a maximum length of `maxTerms`.
+   * Replaces the metadata of the document with the given identifier.  Since metadata does not
+   * affect any weights, nothing needs to be recalculated.
    * 
-   * @param {string} identifier1
-   * The first document identifier of the query.
-   * @param {string} identifier2
-   * The second document identifier of the query.
-   * @param {number} [maxTerms]
-   * The maximum number of elements to return; defaults to 10.
-   * @returns {Array<[string, number]>}
+   * @param {string} identifier
+   * The identifier of the document.
+   * @param {Metadata | null} metadata
+   * The new metadata of the document, or `null` to remove it.
    */
-  getCommonTerms(identifier1, identifier2, maxTerms = 10) {
-    const vector1 = this.getDocumentVector(identifier1);
-    const vector2 = this.getDocumentVector(identifier2);
-    const commonTerms = Array.from(vector1.entries())
-      .map(
-        /** @type {(arg: [string, number]) => [string, number]} */
-        ([term, cw]) => [term, cw * vector2.get(term)]
-      )
-      .filter(d => d[1] > 0);
-    return commonTerms.sort((a, b) => b[1] - a[1]).slice(0, maxTerms);
+  setMetadata(identifier, metadata) {
+    if (!this._documents.has(identifier)) {
+      throw new Error(`no document with identifier \`${identifier}\` exists`);
+    }
+    this._setMetadata(identifier, metadata);
   }
 
   /**
-   * Internal method to calculate collection frequency weight (a.k.a. inverse document frequency).
+   * Internal method that stores the metadata of a document, or removes it when there is none.
    * 
-   * Compared to the formula in the original paper, we add 1 to N (the number of documents in the
-   * collection) so that terms which appear in every document (and are not stopwords) get a very
-   * small CFW instead of zero (and therefore, later, get a very small Combined Weight instead of
-   * zero, meaning that they can still be retrieved by queries and appear in similarity
-   * calculations).
+   * @param {string} identifier
+   * The identifier of the document.
+   * @param {Metadata | null | undefined} metadata
+   * The metadata of the document.
    */
-  _calculateCollectionFrequencyWeights() {
-    if (!this._collectionFrequencies) {
-      this._calculateCollectionFrequencies();
-    }
-    this._collectionFrequencyWeights = new Map();
-    const N = this._documents.size;
-    for (const [term, n] of this._collectionFrequencies.entries()) {
-      this._collectionFrequencyWeights.set(term, Math.log(N + 1) - Math.log(n));
+  _setMetadata(identifier, metadata) {
+    if (metadata) {
+      this._metadata.set(identifier, metadata);
+    } else {
+      this._metadata.delete(identifier);
     }
   }
 
   /**
-   * Returns the collection frequency weight (or inverse document frequency) for the given term.
-   * If the term is not found, return `null` explicitly.
+   * Internal method that replaces, adds or removes (when `contents` is `null`) a document and
+   * brings whatever has already been calculated up to date.
    * 
-   * @param {string} term
-   * The term to query.
-   * @returns {number | null}
+   * @param {string} identifier
+   * The identifier of the document to change.
+   * @param {TDoc | string | null} contents
+   * The new document, or `null` to remove it.
    */
-  getCollectionFrequencyWeight(term) {
-    if (!this._collectionFrequencyWeights) {
-      this._calculateCollectionFrequencyWeights();
+  _changeDocument(identifier, contents) {
+    const previous = this._documents.get(identifier);
+    const previousSize = this._documents.size;
+    const previousAvgLength = this._documentVectors ? this._getAverageLength() : null;
+    const previousFieldLengths = this._averageFieldLengths;
+    const document = contents === null ? null : this._toDocument(contents);
+
+    if (document) {
+      this._documents.set(identifier, document);
+    } else {
+      this._documents.delete(identifier);
     }
-    const cfw = this._collectionFrequencyWeights.get(term);
-    return typeof cfw !== 'number' ? null : cfw;
-  }
+    this._revision += 1;
+    this._averageFieldLengths = null;
+    this._vocabulary = null;
 
-  /**
-   * Internal method that creates, for each document, a Map from each term to its corresponding
-   * combined (TF-IDF) weight for that document
-   */
-  _calculateDocumentVectors() {
-    if (!this._collectionFrequencyWeights) {
-      this._calculateCollectionFrequencyWeights();
+    // Nothing has been calculated yet, so everything will be calculated lazily
+    if (!this._collectionFrequencies) return;
+
+    // Terms in both the previous and new document keep their collection frequency
+    const changedTerms = new Set(previous ? this._updateCollectionFrequencies(previous, -1) : []);
+    if (document) {
+      this._updateCollectionFrequencies(document, 1).forEach(term => {
+        if (changedTerms.has(term)) {
+          changedTerms.delete(term);
+        } else {
+          changedTerms.add(term);
+        }
+      });
     }
-    this._documentVectors = new Map();
-    const K1 = this._K1;
-    const b = this._b;
-    // Total length of the collection, calculated here as the sum of all document lengths
-    const totalLength = Array.from(this._documents.values())
-      .map(d => d.getLength())
-      .reduce((a, b) => a + b, 0);
-    const avgLength = totalLength / this._documents.size;
-    for (const [identifier, document] of this._documents) {
-      const vector = new Map();
-      const ndl = document.getLength() / avgLength;
-      for (const [term, idf] of this._collectionFrequencyWeights.entries()) {
-        // Calculate the combined weight (a.k.a. TF-IDF weight) for this term in this document
-        const tf = document.getTermFrequency(term);
-        const cw = tf ? (idf * tf * (K1 + 1)) / (K1 * (1 - b + b * ndl) + tf) : 0.0;
-        vector.set(term, cw);
-      }
-      this._documentVectors.set(identifier, vector);
+
+    if (!this._collectionFrequencyWeights) return;
+    if (this._documents.size !== previousSize) {
+      // Every weight depends on the number of documents in the collection
+      this._collectionFrequencyWeights = null;
+      this._documentVectors = null;
+      this._postings = null;
+      return;
     }
+    changedTerms.forEach(term => this._calculateCollectionFrequencyWeight(term));
+
+    if (!this._documentVectors) return;
+    const avgLength = this._getAverageLength();
+    if (avgLength !== previousAvgLength || !this._hasAverageFieldLengths(previousFieldLengths)) {
+      // Every vector depends on the average document (and field) length
+      this._documentVectors = null;
+      this._postings = null;
+      return;
+    }
+    this._deleteDocumentVector(identifier);
+    // Only the documents in the postings of a term have a weight for it that may need updating
+    changedTerms.forEach(term => {
+      const postings = this._postings.get(term);
+      if (!postings) return;
+      for (const id of postings.keys()) {
+        const other = this._documents.get(id);
+        const ndl = avgLength > 0 ? other.getLength() / avgLength : 0;
+        const cw = this._calculateCombinedWeight(other, term, ndl);
+        postings.set(id, cw);
+        this._documentVectors.get(id).set(term, cw);
+      }
+    });
+    this._setDocumentVector(identifier, this._calculateDocumentVector(document, avgLength));
   }
 
   /**
-   * Returns a `Map` from terms to their corresponding combined (TF-IDF) weights, for the
-   * document with the given identifier.
+   * Internal method that converts the contents of a document into a {@link Document} for this
+   * corpus, as in {@link Corpus.fromKvps}, and tags it with its language when languages are
+   * detected.
    * 
-   * @param {string} identifier
-   * The identifier of a document.
-   * @returns {Map<string, number> | undefined}
+   * @param {TDoc | string} contents
+   * A {@link Document} instance, or a string or fields to build one from.
+   * @returns {TDoc}
    */
-  getDocumentVector(identifier) {
-    if (!this._documentVectors) {
-      this._calculateDocumentVectors();
-    }
-    return this._documentVectors.get(identifier);
+  _toDocument(contents) {
+    const config = { stopwords: this._stopwords, ngrams: this._ngrams, tokenizer: this._tokenizer };
+    const document = /** @type {TDoc} */ (toDocument(contents, config));
+    this._detectLanguage(document);
+    return document;
   }
 
   /**
-   * Returns an array containing the terms with the highest combined (TF-IDF) weights for the
-   * document with the given identifier; each array entry is a pair of a term and a weight, and
-   * the array is sorted in descending order by the weight, with a maximum length of "maxTerms"
+   * Returns a number that is incremented every time a document is added, removed or updated,
+   * which can be used to tell when something derived from this corpus is out of date.
    * 
-   * @param {string} identifier
-   * The identifier of a document.
-   * @param {number} [maxTerms]
-   * The maximum number of elements to return; defaults to 30.
-   * @returns {Array<[string, number]>}
+   * @returns {number}
    */
-  getTopTermsForDocument(identifier, maxTerms = 30) {
-    const vector = this.getDocumentVector(identifier);
-    if (!vector) return [];
-    const sortedTerms = Array.from(vector.entries())
-      .filter(d => d[1] > 0.0)
-      .sort((a, b) => b[1] - a[1]); // descending order
-    return sortedTerms.slice(0, maxTerms);
+  getRevision() {
+    return this._revision;
   }
 
   /**
-   * Internal method to convert a query into a list of unique terms.
+   * Internal method that returns the unique terms of a document that count towards the collection
+   * (that is, excluding stopwords).
    * 
-   * @param {any} query
+   * @param {Document} document
+   * The document to get the terms of.
+   * @returns {string[]}
+   */
+  _getIndexableTerms(document) {
+    const stopwords = this._getStopwordsFor(document);
+    return document.getUniqueTerms().filter(t => !stopwords.includes(t));
+  }
+
+  /**
+   * Internal method that tags a document whose language is not yet known with its detected
+   * language, when this corpus detects languages.
+   * 
+   * @param {Document} document
+   * The document to tag.
+   */
+  _detectLanguage(document) {
+    if (this._languageDetector && !document.getLanguage()) {
+      document.setLanguage(this._languageDetector.detectDocument(document));
+    }
+  }
+
+  /**
+   * Internal method that returns the stopwords applied to a document: those of this corpus, along
+   * with the bundled stopwords of the document's language, when there are any.
+   * 
+   * @param {Document} document
+   * The document to get the stopwords of.
+   * @returns {Stopwords}
+   */
+  _getStopwordsFor(document) {
+    const language = document.getLanguage();
+    if (!language || !Stopwords.getLanguages().includes(language)) return this._stopwords;
+    if (!this._languageStopwords.has(language)) {
+      const languageStopwords = Stopwords.forLanguage(language).getStopwordList();
+      const stopwords = toTermStopwords(this._stopwords.with(languageStopwords), this._tokenizer);
+      this._languageStopwords.set(language, stopwords);
+    }
+    return this._languageStopwords.get(language);
+  }
+
+  /**
+   * Internal method that adds `delta` to the collection frequency of each term in the given
+   * document, dropping terms that no longer appear in any document.
+   * 
+   * @param {Document} document
+   * The document being added (`delta` of `1`) or removed (`delta` of `-1`).
+   * @param {number} delta
+   * The amount to change each collection frequency by.
+   * @returns {string[]}
+   * The terms that were updated.
+   */
+  _updateCollectionFrequencies(document, delta) {
+    const terms = this._getIndexableTerms(document);
+    terms.forEach(term => {
+      const n = (this._collectionFrequencies.get(term) || 0) + delta;
+      if (n > 0) {
+        this._collectionFrequencies.set(term, n);
+      } else {
+        this._collectionFrequencies.delete(term);
+      }
+    });
+    return terms;
+  }
+
+  /**
+   * Internal method that determines how many documents in the collection contain each term
+   */
+  _calculateCollectionFrequencies() {
+    this._collectionFrequencies = new Map();
+    for (const document of this._documents.values()) {
+      this._updateCollectionFrequencies(document, 1);
+    }
+  }
+
+  /**
+   * Returns an array containing the unique terms used in the corpus (excluding stopwords)
+   * 
+   * @returns {string[]}
+   */
+  getTerms() {
+    if (!this._collectionFrequencies) {
+      this._calculateCollectionFrequencies();
+    }
+    return Array.from(this._collectionFrequencies.keys());
+  }
+
+  /**
+   * Returns the number of documents in the collection that contain the given term
+   * 
+   * @param {string} term
+   * The term to query.
+   * @returns {number}
+   */
+  getCollectionFrequency(term) {
+    if (!this._collectionFrequencies) {
+      this._calculateCollectionFrequencies();
+    }
+    const cf = this._collectionFrequencies.get(term);
+    return typeof cf !== 'number' ? 0 : cf;
+  }
+
+  /**
+   * Returns the most common surface form of the given term across the collection: the word as it
+   * appeared before being normalized, such as "studies" for the stem "studi".  Returns the term
+   * itself when it is not in the collection.
+   * 
+   * @param {string} term
+   * The term to query.
+   * @returns {string}
+   */
+  getSurfaceForm(term) {
+    const postings = this.getPostings(term);
+    if (!postings) return term;
+    /** @type {Map<string, number>} */
+    const counts = new Map();
+    for (const identifier of postings.keys()) {
+      for (const [form, n] of this._documents.get(identifier).getSurfaceForms(term)) {
+        counts.set(form, (counts.get(form) || 0) + n);
+      }
+    }
+    let best = term;
+    let bestCount = 0;
+    for (const [form, n] of counts) {
+      if (n > bestCount) {
+        best = form;
+        bestCount = n;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Returns the terms of the corpus (see {@link Corpus.getTerms}) as a {@link Vocabulary}, to find
+   * the terms starting with a prefix or close to a misspelled word.  It is rebuilt when documents
+   * are added to, removed from or updated in the corpus.
+   * 
+   * @returns {Vocabulary}
+   */
+  getVocabulary() {
+    if (!this._vocabulary) {
+      this._vocabulary = new Vocabulary(this.getTerms());
+    }
+    return this._vocabulary;
+  }
+
+  /**
+   * Returns the Document corresponding to the given identifier.
+   * 
+   * @param {string} identifier
+   * The identifier of a document.
+   * @returns {TDoc | undefined}
+   */
+  getDocument(identifier) {
+    return this._documents.get(identifier);
+  }
+
+  /**
+   * Returns the metadata of the document with the given identifier: an empty object when it was
+   * not given any, or `undefined` when there is no such document.
+   * 
+   * @param {string} identifier
+   * The identifier of a document.
+   * @returns {Metadata | undefined}
+   */
+  getMetadata(identifier) {
+    if (!this._documents.has(identifier)) return undefined;
+    return this._metadata.get(identifier) || {};
+  }
+
+  /**
+   * Returns an array of all identifiers in the corpus, or only of those selected by the given
+   * filter.
+   * 
+   * @param {DocumentFilter} [filter]
+   * When given, only the identifiers of the documents it selects are returned.
+   * @returns {string[]}
+   */
+  getDocumentIdentifiers(filter) {
+    const identifiers = Array.from(this._documents.keys());
+    const selects = this._toPredicate(filter);
+    return selects ? identifiers.filter(selects) : identifiers;
+  }
+
+  /**
+   * Internal method that converts a {@link DocumentFilter} into a function that returns whether
+   * the document with a given identifier is selected, or returns `null` when there is no filter.
+   * 
+   * @param {DocumentFilter | undefined} filter
+   * The filter to convert.
+   * @returns {((identifier: string) => boolean) | null}
+   */
+  _toPredicate(filter) {
+    if (!filter) return null;
+    if (typeof filter === 'function') {
+      return (identifier) => Boolean(
+        filter(this.getMetadata(identifier), identifier, this._documents.get(identifier))
+      );
+    }
+    const conditions = Object.entries(filter);
+    return (identifier) => {
+      const metadata = this.getMetadata(identifier);
+      return conditions.every(([key, condition]) => meetsCondition(metadata[key], condition));
+    };
+  }
+
+  /**
+   * Internal method that removes the documents that the `filter` of a query does not select from
+   * their scores, in place.
+   * 
+   * @param {Map<string, number>} scores
+   * A `Map` from document identifiers to their scores, updated in place.
+   * @param {QueryOptions} [options]
+   * The options of the query, with the `filter`.
+   */
+  _filterScores(scores, options) {
+    const selects = this._toPredicate(options && options.filter);
+    if (!selects) return;
+    for (const d of scores.keys()) {
+      if (!selects(d)) scores.delete(d);
+    }
+  }
+
+  /**
+   * Returns an array of the terms that the documents with these two identifiers have in common;
+   * each array entry is a pair of a term and a score, and the array is sorted in descending order
+   * by the score, with a maximum length of `maxTerms`.
+   * 
+   * @param {string} identifier1
+   * The first document identifier of the query.
+   * @param {string} identifier2
+   * The second document identifier of the query.
+   * @param {number} [maxTerms]
+   * The maximum number of elements to return; defaults to 10.
+   * @param {FilterOptions} [options]
+   * An object to restrict the documents to those selected by a filter.
+   * @returns {Array<[string, number]>}
+   */
+  getCommonTerms(identifier1, identifier2, maxTerms = 10, options) {
+    const vector1 = this.getDocumentVector(identifier1);
+    const vector2 = this.getDocumentVector(identifier2);
+    const selects = this._toPredicate(options && options.filter);
+    if (selects && !(selects(identifier1) && selects(identifier2))) return [];
+    const commonTerms = Array.from(vector1.entries())
+      .filter(([term]) => vector2.has(term))
+      .map(
+        /** @type {(arg: [string, number]) => [string, number]} */
+        ([term, cw]) => [term, cw * vector2.get(term)]
+      )
+      .filter(d => d[1] > 0);
+    return commonTerms.sort((a, b) => b[1] - a[1]).slice(0, maxTerms);
+  }
+
+  /**
+   * Internal method to calculate collection frequency weight (a.k.a. inverse document frequency),
+   * with the `idf` weighting of this corpus.
+   * 
+   * By default, compared to the formula in the original paper, we add 1 to N (the number of
+   * documents in the collection) so that terms which appear in every document (and are not
+   * stopwords) get a very small CFW instead of zero (and therefore, later, get a very small
+   * Combined Weight instead of zero, meaning that they can still be retrieved by queries and
+   * appear in similarity calculations).
+   */
+  _calculateCollectionFrequencyWeights() {
+    if (!this._collectionFrequencies) {
+      this._calculateCollectionFrequencies();
+    }
+    this._collectionFrequencyWeights = new Map();
+    for (const term of this._collectionFrequencies.keys()) {
+      this._calculateCollectionFrequencyWeight(term);
+    }
+  }
+
+  /**
+   * Internal method to (re)calculate the collection frequency weight of a single term, removing it
+   * when the term no longer appears in the collection.
+   * 
+   * @param {string} term
+   * The term to calculate the weight of.
+   */
+  _calculateCollectionFrequencyWeight(term) {
+    const n = this._collectionFrequencies.get(term);
+    if (n) {
+      const N = this._documents.size;
+      this._collectionFrequencyWeights.set(term, this._idfWeighting({ n, N }));
+    } else {
+      this._collectionFrequencyWeights.delete(term);
+    }
+  }
+
+  /**
+   * Returns the collection frequency weight (or inverse document frequency) for the given term.
+   * If the term is not found, return `null` explicitly.
+   * 
+   * @param {string} term
+   * The term to query.
+   * @returns {number | null}
+   */
+  getCollectionFrequencyWeight(term) {
+    if (!this._collectionFrequencyWeights) {
+      this._calculateCollectionFrequencyWeights();
+    }
+    const cfw = this._collectionFrequencyWeights.get(term);
+    return typeof cfw !== 'number' ? null : cfw;
+  }
+
+  /**
+   * Internal method that creates, for each document, a sparse Map from each term in that document
+   * to its corresponding combined (TF-IDF) weight, and the inverted index from each term to the
+   * documents that contain it
+   */
+  _calculateDocumentVectors() {
+    if (!this._collectionFrequencyWeights) {
+      this._calculateCollectionFrequencyWeights();
+    }
+    this._documentVectors = new Map();
+    this._postings = new Map();
+    const avgLength = this._getAverageLength();
+    for (const [identifier, document] of this._documents) {
+      this._setDocumentVector(identifier, this._calculateDocumentVector(document, avgLength));
+    }
+  }
+
+  /**
+   * Internal method that stores the vector of a document and adds its weights to the postings.
+   * 
+   * @param {string} identifier
+   * The identifier of the document.
+   * @param {Map<string, number>} vector
+   * The vector of the document.
+   */
+  _setDocumentVector(identifier, vector) {
+    this._documentVectors.set(identifier, vector);
+    for (const [term, cw] of vector) {
+      if (this._postings.has(term)) {
+        this._postings.get(term).set(identifier, cw);
+      } else {
+        this._postings.set(term, new Map([[identifier, cw]]));
+      }
+    }
+  }
+
+  /**
+   * Internal method that removes the vector of a document and its weights from the postings.
+   * 
+   * @param {string} identifier
+   * The identifier of the document.
+   */
+  _deleteDocumentVector(identifier) {
+    const vector = this._documentVectors.get(identifier);
+    if (!vector) return;
+    this._documentVectors.delete(identifier);
+    for (const term of vector.keys()) {
+      const postings = this._postings.get(term);
+      postings.delete(identifier);
+      if (postings.size === 0) this._postings.delete(term);
+    }
+  }
+
+  /**
+   * Internal method that returns the average length of the documents in the collection.
+   * 
+   * @returns {number}
+   */
+  _getAverageLength() {
+    // Total length of the collection, calculated here as the sum of all document lengths
+    const totalLength = Array.from(this._documents.values())
+      .map(d => d.getLength())
+      .reduce((a, b) => a + b, 0);
+    // Guard against dividing by zero when there are no documents or all of them are empty
+    return totalLength > 0 ? totalLength / this._documents.size : 0;
+  }
+
+  /**
+   * Internal method that returns the average length of each field of the fielded documents in
+   * the collection.
+   * 
+   * @returns {Map<string, number>}
+   */
+  _getAverageFieldLengths() {
+    if (!this._averageFieldLengths) {
+      const totals = new Map();
+      let count = 0;
+      for (const document of this._documents.values()) {
+        if (!(document instanceof FieldedDocument)) continue;
+        count += 1;
+        for (const field of document.getFieldNames()) {
+          totals.set(field, (totals.get(field) || 0) + document.getFieldLength(field));
+        }
+      }
+      this._averageFieldLengths = new Map(
+        Array.from(totals, ([field, total]) => [field, total / count])
+      );
+    }
+    return this._averageFieldLengths;
+  }
+
+  /**
+   * Internal method that returns whether the average field lengths are still the given ones.
+   * 
+   * @param {Map<string, number> | null} fieldLengths
+   * The average field lengths, or `null` if they were not calculated.
+   * @returns {boolean}
+   */
+  _hasAverageFieldLengths(fieldLengths) {
+    const current = this._getAverageFieldLengths();
+    if (!fieldLengths) return current.size === 0;
+    if (fieldLengths.size !== current.size) return false;
+    return Array.from(current).every(([field, length]) => fieldLengths.get(field) === length);
+  }
+
+  /**
+   * Internal method that creates the sparse vector for a single document, containing only the
+   * terms that appear in it.
+   * 
+   * @param {Document} document
+   * The document to create the vector for.
+   * @param {number} avgLength
+   * The average length of the documents in the collection.
+   * @returns {Map<string, number>}
+   */
+  _calculateDocumentVector(document, avgLength) {
+    const vector = new Map();
+    const ndl = avgLength > 0 ? document.getLength() / avgLength : 0;
+    for (const term of this._getIndexableTerms(document)) {
+      vector.set(term, this._calculateCombinedWeight(document, term, ndl));
+    }
+    return vector;
+  }
+
+  /**
+   * Internal method to calculate the combined weight (a.k.a. TF-IDF weight) for a term in a
+   * document, with the `weighting` of this corpus.  For a {@link FieldedDocument}, this is
+   * BM25F: the term frequency of each field is normalized by the field's length and multiplied
+   * by its boost before they are added up and weighted, in place of the length normalization of
+   * the whole document.
+   * 
+   * @param {Document} document
+   * The document containing the term.
+   * @param {string} term
+   * The term to calculate the weight of.
+   * @param {number} ndl
+   * The normalized length of the document (its length divided by the average length).
+   * @returns {number}
+   */
+  _calculateCombinedWeight(document, term, ndl) {
+    if (document instanceof FieldedDocument) {
+      return this._calculateFieldWeight(document, term, document.getFieldNames());
+    }
+    const idf = this._collectionFrequencyWeights.get(term);
+    const tf = document.getTermFrequency(term);
+    if (!tf) return 0.0;
+    return this._termWeighting({ tf, idf, ndl, K1: this._K1, b: this._b, delta: this._delta });
+  }
+
+  /**
+   * Internal method to calculate the BM25F weight of a term in some of the fields of a document.
+   * 
+   * @param {FieldedDocument} document
+   * The document containing the term.
+   * @param {string} term
+   * The term to calculate the weight of.
+   * @param {string[]} fields
+   * The fields to count the term in.
+   * @returns {number}
+   */
+  _calculateFieldWeight(document, term, fields) {
+    const averages = this._getAverageFieldLengths();
+    let tf = 0.0;
+    for (const field of fields) {
+      const fieldTf = document.getFieldTermFrequency(field, term);
+      if (!fieldTf) continue;
+      const { boost = 1, b = this._b } = this._fields[field] || {};
+      const avgLength = averages.get(field);
+      const ndl = avgLength > 0 ? document.getFieldLength(field) / avgLength : 0;
+      tf += (boost * fieldTf) / (1 - b + b * ndl);
+    }
+    if (!tf) return 0.0;
+    const idf = this._collectionFrequencyWeights.get(term);
+    // The fields are already normalized by their length
+    return this._termWeighting({ tf, idf, ndl: 1, K1: this._K1, b: 0, delta: this._delta });
+  }
+
+  /**
+   * Returns a `Map` from terms to their corresponding combined (TF-IDF) weights, for the
+   * document with the given identifier.  The vector is sparse: it contains only the terms that
+   * appear in the document.
+   * 
+   * @param {string} identifier
+   * The identifier of a document.
+   * @returns {Map<string, number> | undefined}
+   */
+  getDocumentVector(identifier) {
+    if (!this._documentVectors) {
+      this._calculateDocumentVectors();
+    }
+    return this._documentVectors.get(identifier);
+  }
+
+  /**
+   * Returns the vector that the given text would have in this corpus, weighted with its current
+   * collection frequency weights and average length, without adding the text to the corpus (for
+   * example, to compare a new text with the documents).  Terms that do not appear in the
+   * collection have no weight, so they are left out.
+   * 
+   * @param {TDoc | string} contents
+   * A {@link Document}, or a string or fields that should be treated as its contents, as in
+   * {@link Corpus.fromKvps}.
+   * @returns {Map<string, number>}
+   */
+  vectorize(contents) {
+    if (!this._documentVectors) {
+      this._calculateDocumentVectors();
+    }
+    const document = this._toDocument(contents);
+    const avgLength = this._getAverageLength();
+    const ndl = avgLength > 0 ? document.getLength() / avgLength : 0;
+    const vector = new Map();
+    for (const term of this._getIndexableTerms(document)) {
+      if (!this._collectionFrequencyWeights.has(term)) continue;
+      vector.set(term, this._calculateCombinedWeight(document, term, ndl));
+    }
+    return vector;
+  }
+
+  /**
+   * Returns the postings of the given term: a `Map` from the identifier of each document that
+   * contains the term to the term's combined (TF-IDF) weight in that document.
+   * 
+   * @param {string} term
+   * The term to query.
+   * @returns {Map<string, number> | undefined}
+   */
+  getPostings(term) {
+    if (!this._documentVectors) {
+      this._calculateDocumentVectors();
+    }
+    return this._postings.get(term);
+  }
+
+  /**
+   * Returns an array containing the terms with the highest combined (TF-IDF) weights for the
+   * document with the given identifier; each array entry is a pair of a term and a weight, and
+   * the array is sorted in descending order by the weight, with a maximum length of "maxTerms"
+   * 
+   * @param {string} identifier
+   * The identifier of a document.
+   * @param {number} [maxTerms]
+   * The maximum number of elements to return; defaults to 30.
+   * @param {FilterOptions} [options]
+   * An object to restrict the documents to those selected by a filter.
+   * @returns {Array<[string, number]>}
+   */
+  getTopTermsForDocument(identifier, maxTerms = 30, options) {
+    const vector = this.getDocumentVector(identifier);
+    if (!vector) return [];
+    const selects = this._toPredicate(options && options.filter);
+    if (selects && !selects(identifier)) return [];
+    const sortedTerms = Array.from(vector.entries())
+      .filter(d => d[1] > 0.0)
+      .sort((a, b) => b[1] - a[1]); // descending order
+    return sortedTerms.slice(0, maxTerms);
+  }
+
+  /**
+   * Returns an array containing the terms that best describe the group of documents with the
+   * given identifiers (such as the results of a query, or a cluster); each array entry is a pair
+   * of a term and a score, and the array is sorted in descending order by the score, with a
+   * maximum length of "maxTerms".  By default, the score of a term is its total combined weight
+   * across the documents.  With the `contrast` option, it is instead the chosen statistic of how
+   * much more often the term occurs in the group than in the rest of the corpus, so that terms
+   * common everywhere are left out; a group of every document then has no such terms.
+   * 
+   * @param {string[]} identifiers
+   * The identifiers of the documents in the group; unknown ones are ignored.
+   * @param {number} [maxTerms]
+   * The maximum number of elements to return; defaults to 30.
+   * @param {TopTermsOptions} [options]
+   * An object to contrast the group with the rest of the corpus, or to restrict both to the
+   * documents selected by a filter.
+   * @returns {Array<[string, number]>}
+   */
+  getTopTermsForDocuments(identifiers, maxTerms = 30, options) {
+    const { contrast, filter } = options || {};
+    if (contrast !== undefined && !['logLikelihood', 'chiSquare'].includes(contrast)) {
+      throw new Error(`unknown contrast \`${contrast}\``);
+    }
+    const selected = filter ? new Set(this.getDocumentIdentifiers(filter)) : null;
+    const isSelected = (/** @type {string} */ identifier) => !selected || selected.has(identifier);
+    const group = new Set(
+      identifiers.filter(identifier => this._documents.has(identifier) && isSelected(identifier))
+    );
+    /** @type {Map<string, number>} */
+    const scores = new Map();
+    for (const identifier of group) {
+      for (const [term, weight] of this.getDocumentVector(identifier)) {
+        scores.set(term, (scores.get(term) || 0.0) + weight);
+      }
+    }
+    if (contrast !== undefined) {
+      let total1 = 0;
+      let total2 = 0;
+      this._documents.forEach((document, identifier) => {
+        if (group.has(identifier)) {
+          total1 += document.getLength();
+        } else if (isSelected(identifier)) {
+          total2 += document.getLength();
+        }
+      });
+      for (const term of scores.keys()) {
+        let count1 = 0;
+        let count2 = 0;
+        for (const identifier of this.getPostings(term).keys()) {
+          const tf = this._documents.get(identifier).getTermFrequency(term);
+          if (group.has(identifier)) {
+            count1 += tf;
+          } else if (isSelected(identifier)) {
+            count2 += tf;
+          }
+        }
+        scores.set(term, contrastTerm(contrast, count1, total1, count2, total2));
+      }
+    }
+    return Array.from(scores)
+      .filter(d => d[1] > 0.0)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, maxTerms);
+  }
+
+  /**
+   * Returns terms that could be added to the stopwords of this corpus, because they appear in too
+   * many of its documents or carry almost no weight; each array entry is a pair of a term and the
+   * fraction of the documents it appears in, and the array is sorted in descending order by that
+   * fraction.
+   * 
+   * @param {StopwordSuggestionOptions} [options]
+   * An object to define which terms are suggested.
+   * @returns {Array<[string, number]>}
+   */
+  suggestStopwords(options) {
+    const { maxDocumentFraction = 0.5, minIdf = 0, limit = 30, filter } = options || {};
+    const selected = filter ? new Set(this.getDocumentIdentifiers(filter)) : null;
+    const size = selected ? selected.size : this._documents.size;
+    /** @type {Array<[string, number]>} */
+    const suggestions = [];
+    for (const term of this.getTerms()) {
+      const frequency = selected
+        ? Array.from(this.getPostings(term).keys()).filter(id => selected.has(id)).length
+        : this.getCollectionFrequency(term);
+      if (!frequency) continue;
+      const fraction = frequency / size;
+      if (fraction > maxDocumentFraction || this.getCollectionFrequencyWeight(term) < minIdf) {
+        suggestions.push([term, fraction]);
+      }
+    }
+    // Terms in the same number of documents keep the order of `getTerms`
+    return suggestions.sort((a, b) => b[1] - a[1]).slice(0, limit);
+  }
+
+  /**
+   * Returns a new {@link Stopwords} instance with the stopwords of this corpus and the terms
+   * suggested by {@link Corpus.suggestStopwords}, for building a new corpus with.
+   * 
+   * @param {StopwordSuggestionOptions} [options]
+   * An object to define which terms are suggested.
+   * @returns {Stopwords}
+   */
+  withSuggestedStopwords(options) {
+    return this._stopwords.with(this.suggestStopwords(options).map(d => d[0]));
+  }
+
+  /**
+   * Internal method to parse a query into the syntax tree described by {@link QueryParser}.
+   * Returns `null` when the query is empty or is not a string.
+   * 
+   * @param {any} query
    * Something that represents a query.
-   * @returns {string[]}
+   * @returns {import("./QueryParser").BooleanNode | null}
    */
-  _queryToUniqueTerms(query) {
+  _parseQuery(query) {
     // This basic implementation only works with string queries.
     if (typeof query === 'string' && query.length > 0) {
-      return new TextDocument(query).getUniqueTerms();
+      return this._resolveFields(QueryParser.parse(query));
+    }
+    return null;
+  }
+
+  /**
+   * Internal method that drops the field restrictions of a parsed query for the fields that no
+   * document in the collection has, since a colon may just be part of a word (as in `re:plain`
+   * or a URL).  A plain word gets its `field:` prefix back, so it is split into terms as written;
+   * a phrase, or a word ending with `*` or `~`, simply matches anywhere.
+   * 
+   * @template {import("./QueryParser").QueryNode} T
+   * @param {T} node
+   * The node of the parsed query.
+   * @returns {T}
+   */
+  _resolveFields(node) {
+    if (node.type === 'boolean') {
+      const clauses = node.clauses.map(clause => ({
+        ...clause, node: this._resolveFields(clause.node)
+      }));
+      return { ...node, clauses };
+    }
+    if (node.field === undefined || this._getAverageFieldLengths().has(node.field)) return node;
+    const resolved = { ...node };
+    delete resolved.field;
+    if (node.type === 'term' && !isExpanded(node)) resolved.text = `${node.field}:${node.text}`;
+    return resolved;
+  }
+
+  /**
+   * Internal method to split text from a query into terms, in the same way as a document's text.
+   * 
+   * @param {string} text
+   * The text of a word or phrase in the query.
+   * @returns {string[]}
+   */
+  _textToTerms(text) {
+    return this._tokenizer.tokenize(text);
+  }
+
+  /**
+   * Internal method to convert a query into a list of unique terms, leaving out the terms of
+   * excluded clauses (or, when `excluded` is `true`, only returning those).
+   * 
+   * @param {any} query
+   * Something that represents a query.
+   * @param {boolean} [excluded]
+   * Whether to return the terms of excluded clauses instead.
+   * @returns {string[]}
+   */
+  _queryToUniqueTerms(query, excluded = false) {
+    /** @type {Set<string>} */
+    const terms = new Set();
+    /**
+     * @param {import("./QueryParser").QueryNode} node
+     * @param {boolean} isExcluded
+     */
+    const collect = (node, isExcluded) => {
+      if (node.type === 'boolean') {
+        for (const clause of node.clauses) {
+          const isClauseExcluded = isExcluded || clause.occur === 'mustNot';
+          if (excluded || !isClauseExcluded) collect(clause.node, isClauseExcluded);
+        }
+      } else if (isExcluded === excluded && isExpanded(node)) {
+        (this._expandTerm(node) || new Map()).forEach((_, t) => terms.add(t));
+      } else if (isExcluded === excluded) {
+        this._textToTerms(node.text).forEach(t => terms.add(t));
+      }
+    };
+    const root = this._parseQuery(query);
+    if (root) collect(root, false);
+    return Array.from(terms);
+  }
+
+  /**
+   * Returns the unique terms of the given query that documents are scored by, leaving out
+   * stopwords and the terms of excluded clauses (e.g. to highlight them).
+   * 
+   * @param {string} query
+   * A query, in the language described by {@link QueryParser}.
+   * @returns {string[]}
+   */
+  getQueryTerms(query) {
+    return this._queryToUniqueTerms(query).filter(t => !this._stopwords.includes(t));
+  }
+
+  /**
+   * Returns terms of the corpus for a word as it is being typed (e.g. for search-as-you-type):
+   * first the terms that start with the word, then the terms within `maxDistance` edits of it,
+   * in case it is misspelled.  Terms are sorted by their distance from the word, and then in
+   * descending order by the number of documents that contain them.
+   * 
+   * @param {string} word
+   * The word, partly typed or misspelled.
+   * @param {SuggestionOptions} [options]
+   * An object to limit the number of suggestions and how far they may be from the word.
+   * @returns {Suggestion[]}
+   */
+  getSuggestions(word, options) {
+    const { limit = 5, maxDistance = 2 } = options || {};
+    const vocabulary = this.getVocabulary();
+    /** @type {Map<string, number>} */
+    const distances = new Map();
+    const prefix = this._tokenizer.normalize(word);
+    if (prefix) vocabulary.getCompletions(prefix).forEach(term => distances.set(term, 0));
+    const misspelled = this._tokenizer.toTerm(word);
+    if (misspelled) {
+      for (const [term, distance] of vocabulary.getFuzzyMatches(misspelled, maxDistance)) {
+        if (!distances.has(term)) distances.set(term, distance);
+      }
+    }
+    return Array.from(distances)
+      .map(([term, distance]) => ({ term, distance, frequency: this.getCollectionFrequency(term) }))
+      .sort((a, b) => a.distance - b.distance || b.frequency - a.frequency)
+      .slice(0, limit)
+      .map(({ term, distance, frequency }) => ({
+        term, surface: this.getSurfaceForm(term), distance, frequency
+      }));
+  }
+
+  /**
+   * Returns terms to expand the given query with, from documents known to be relevant or not to
+   * it (relevance feedback, with the Rocchio algorithm).  The vector of each document is scaled
+   * so that its highest weight is `1`, the weight of a word of the query; the weight of a term is
+   * then `beta` times its average weight in the relevant documents, minus `gamma` times its
+   * average weight in the non-relevant documents.  Terms of the query, and terms whose weight is
+   * not above zero, are left out.  Each array entry is a pair of a term and its weight, and the
+   * array is sorted in descending order by the weight, with a maximum length of `terms`.
+   * 
+   * @param {string} query
+   * A query, in the language described by {@link QueryParser}.
+   * @param {string[]} relevant
+   * The identifiers of the documents known to be relevant to the query.
+   * @param {string[]} [nonRelevant]
+   * The identifiers of the documents known not to be relevant to the query.
+   * @param {FeedbackOptions} [options]
+   * An object to define how many terms are returned and how they are weighted.
+   * @returns {Array<[string, number]>}
+   */
+  getFeedbackTerms(query, relevant, nonRelevant = [], options) {
+    const { terms: maxTerms = 10, beta = 0.75, gamma = 0.15 } = options || {};
+    /** @type {Map<string, number>} */
+    const weights = new Map();
+    /**
+     * @param {string[]} identifiers
+     * @param {number} factor
+     */
+    const addCentroid = (identifiers, factor) => {
+      const vectors = identifiers.map(d => this.getDocumentVector(d)).filter(Boolean);
+      for (const vector of vectors) {
+        const max = Math.max(0.0, ...vector.values());
+        if (max <= 0) continue;
+        vector.forEach((weight, term) => {
+          const change = (factor * weight) / (max * vectors.length);
+          weights.set(term, (weights.get(term) || 0.0) + change);
+        });
+      }
+    };
+    addCentroid(relevant, beta);
+    addCentroid(nonRelevant, -gamma);
+    const queryTerms = new Set([
+      ...this._queryToUniqueTerms(query), ...this._queryToUniqueTerms(query, true)
+    ]);
+    return Array.from(weights)
+      .filter(([term, weight]) => weight > 0.0 && !queryTerms.has(term))
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, maxTerms);
+  }
+
+  /**
+   * Returns the given query with each word that matches no term of the corpus replaced by the
+   * surface form of the closest term within `maxDistance` edits (the most common one, among
+   * equally close terms), or `null` when there is nothing to correct.  The rest of the query,
+   * including its syntax, is left as it is; stopwords, field names and words ending with `*` or
+   * `~` are never corrected.
+   * 
+   * @param {string} query
+   * A query, in the language described by {@link QueryParser}.
+   * @param {SuggestionOptions} [options]
+   * An object to define how far corrections may be from the words (`limit` is ignored).
+   * @returns {string | null}
+   */
+  didYouMean(query, options) {
+    const { maxDistance = 2 } = options || {};
+    if (typeof query !== 'string') return null;
+    const vocabulary = this.getVocabulary();
+    let corrected = '';
+    let end = 0;
+    for (const token of this._tokenizer.analyze(query)) {
+      const isSyntax = /^[*~:]/.test(query.slice(token.end)) ||
+        query.slice(token.start, token.end) === 'OR';
+      if (isSyntax || this._stopwords.includes(token.term) || vocabulary.has(token.term)) continue;
+      let best = null;
+      let bestFrequency = 0;
+      for (const [term, distance] of vocabulary.getFuzzyMatches(token.term, maxDistance)) {
+        if (best !== null && distance > best[1]) break;
+        const frequency = this.getCollectionFrequency(term);
+        if (frequency > bestFrequency) [best, bestFrequency] = [[term, distance], frequency];
+      }
+      if (best === null) continue;
+      corrected += query.slice(end, token.start) + this.getSurfaceForm(best[0]);
+      end = token.end;
+    }
+    return end === 0 ? null : corrected + query.slice(end);
+  }
+
+  /**
+   * Internal method that finds the documents matching a node of a parsed query, returning a `Map`
+   * from their identifiers to their scores.  Returns `null` when the node has no terms that could
+   * match anything (for example, when it contains only stopwords), so it can be ignored.
+   * 
+   * @param {import("./QueryParser").QueryNode | VectorNode} node
+   * The node to evaluate.
+   * @param {QueryOptions} [options]
+   * The options of the query, which decide how repeated words are weighted.
+   * @returns {Map<string, number> | null}
+   */
+  _evaluateQueryNode(node, options) {
+    if (node.type === 'boolean') {
+      return this._evaluateBooleanNode(node, options);
+    }
+    if (node.type === 'vector') {
+      return this._evaluateVector(node.vector);
+    }
+    if (isExpanded(node)) {
+      const expansions = this._expandTerm(node, options);
+      return expansions && this._evaluateExpansions(expansions, node.field || null);
+    }
+    const words = this._textToTerms(node.text);
+    const terms = words.filter(t => !this._stopwords.includes(t));
+    if (terms.length === 0) return null;
+    const field = node.field || null;
+    // A word that splits into several terms (such as `tf-idf`) is treated like a phrase, while a
+    // phrase is always matched by position, even with a single term besides its stopwords
+    if (node.type === 'term' && terms.length === 1) return this._evaluateTerm(terms[0], field);
+    return this._evaluatePhrase(words, 0, field);
+  }
+
+  /**
+   * Internal method that scores each document containing a term by its combined weight.
+   * 
+   * @param {string} term
+   * The term to evaluate.
+   * @param {string | null} [field]
+   * When given, only the term's occurrences in this field of a {@link FieldedDocument} count.
+   * @returns {Map<string, number>}
+   */
+  _evaluateTerm(term, field = null) {
+    if (field === null) return new Map(this.getPostings(term));
+    const scores = new Map();
+    for (const d of (this.getPostings(term) || new Map()).keys()) {
+      const document = this._documents.get(d);
+      if (!(document instanceof FieldedDocument)) continue;
+      const score = this._calculateFieldWeight(document, term, [field]);
+      if (score) scores.set(d, score);
+    }
+    return scores;
+  }
+
+  /**
+   * Internal method that returns the terms of the corpus that a word ending with `*` or `~`
+   * matches, mapped to the penalty that their weights are multiplied by: `1 - distance / length`,
+   * where the distance is the number of edits between the word and the term (for a prefix, the
+   * number of characters the term adds to it) and the length is that of the longer of the two.
+   * Returns `null` when the word has no terms.
+   * 
+   * A prefix is only normalized, since stemming a partly typed word would rarely give the start
+   * of the stem of the whole word; a fuzzy word is also stemmed, like the terms it is compared
+   * with.
+   * 
+   * @param {import("./QueryParser").TermNode} node
+   * The word of the query.
+   * @param {QueryOptions} [options]
+   * The options of the query, with `maxExpansions`.
+   * @returns {Map<string, number> | null}
+   */
+  _expandTerm(node, options) {
+    const { maxExpansions = 50 } = options || {};
+    const word = node.prefix
+      ? this._tokenizer.normalize(node.text)
+      : this._tokenizer.toTerm(node.text);
+    if (!word) return null;
+    const vocabulary = this.getVocabulary();
+    const length = Array.from(word).length;
+    /** @type {Array<[string, number]>} */
+    const matches = node.prefix
+      ? vocabulary.getCompletions(word).map(term => [term, Array.from(term).length - length])
+      : vocabulary.getFuzzyMatches(word, node.fuzzy);
+    const expansions = matches
+      .map(([term, distance]) => ({
+        term,
+        penalty: 1 - distance / Math.max(length, Array.from(term).length),
+        frequency: this.getCollectionFrequency(term)
+      }))
+      .sort((a, b) => b.penalty - a.penalty || b.frequency - a.frequency)
+      .slice(0, maxExpansions);
+    return new Map(expansions.map(({ term, penalty }) => [term, penalty]));
+  }
+
+  /**
+   * Internal method that scores each document containing any of the terms that a word expanded
+   * to by the highest of their combined weights, each multiplied by its penalty.
+   * 
+   * @param {Map<string, number>} expansions
+   * The terms that the word expanded to, mapped to their penalties.
+   * @param {string | null} field
+   * When given, only the terms' occurrences in this field of a {@link FieldedDocument} count.
+   * @returns {Map<string, number>}
+   */
+  _evaluateExpansions(expansions, field) {
+    /** @type {Map<string, number>} */
+    const scores = new Map();
+    expansions.forEach((penalty, term) => {
+      this._evaluateTerm(term, field).forEach((score, d) => {
+        scores.set(d, Math.max(scores.get(d) || 0.0, score * penalty));
+      });
+    });
+    return scores;
+  }
+
+  /**
+   * Internal method that scores each document containing any of the terms of a vector by the dot
+   * product of its vector with it.
+   * 
+   * @param {Map<string, number>} vector
+   * A `Map` from terms to their weights.
+   * @returns {Map<string, number>}
+   */
+  _evaluateVector(vector) {
+    /** @type {Map<string, number>} */
+    const scores = new Map();
+    vector.forEach((weight, term) => {
+      for (const [d, cw] of this.getPostings(term) || []) {
+        scores.set(d, (scores.get(d) || 0.0) + weight * cw);
+      }
+    });
+    return scores;
+  }
+
+  /**
+   * Internal method that scores each document containing a phrase by the total of the combined
+   * weights of the phrase's terms.  Documents that do not know the positions of their terms
+   * only need to contain all of the terms.
+   * 
+   * @param {string[]} words
+   * The words of the phrase, in order and including stopwords.
+   * @param {number} [window]
+   * When above zero, the terms only need to be within this many words of each other.
+   * @param {string | null} [field]
+   * When given, the phrase must appear in this field of a {@link FieldedDocument}.
+   * @returns {Map<string, number>}
+   */
+  _evaluatePhrase(words, window = 0, field = null) {
+    const terms = Array.from(new Set(words.filter(t => !this._stopwords.includes(t))));
+    const postings = terms.map(t => this.getPostings(t));
+    const scores = new Map();
+    if (postings.some(p => !p)) return scores;
+    for (const d of postings[0].keys()) {
+      if (!postings.every(p => p.has(d))) continue;
+      const document = this._documents.get(d);
+      /** @type {Document | undefined} */
+      let scope = document;
+      if (field !== null) {
+        scope = document instanceof FieldedDocument ? document.getField(field) : undefined;
+        if (!scope || !terms.every(t => scope.getTermFrequency(t) > 0)) continue;
+      }
+      if (scope.hasPositions()) {
+        const matches = window > 0
+          ? this._getMinimumSpan(scope, terms) <= window
+          : this._containsPhrase(scope, words);
+        if (!matches) continue;
+      }
+      const score = field === null
+        ? postings.reduce((total, p) => total + p.get(d), 0.0)
+        : terms.reduce((total, t) => total + this._calculateFieldWeight(document, t, [field]), 0.0);
+      scores.set(d, score);
+    }
+    return scores;
+  }
+
+  /**
+   * Internal method that checks whether the words of a phrase appear together and in order in a
+   * document.
+   * 
+   * @param {Document} document
+   * A document that knows the positions of its terms.
+   * @param {string[]} words
+   * The words of the phrase, in order and including stopwords.
+   * @returns {boolean}
+   */
+  _containsPhrase(document, words) {
+    const [first, ...rest] = words;
+    const positions = rest.map(word => new Set(document.getTermPositions(word)));
+    return document
+      .getTermPositions(first)
+      .some(start => positions.every((p, i) => p.has(start + i + 1)));
+  }
+
+  /**
+   * Internal method that returns the distance, in words, between the first and last term of the
+   * smallest span of a document that contains all of the given terms, or `Infinity` if any of the
+   * terms is missing.
+   * 
+   * @param {Document} document
+   * A document that knows the positions of its terms.
+   * @param {string[]} terms
+   * The unique terms to find.
+   * @returns {number}
+   */
+  _getMinimumSpan(document, terms) {
+    const positions = terms.map(t => document.getTermPositions(t));
+    if (positions.some(p => p.length === 0)) return Infinity;
+    // Walk through the sorted positions of every term at once, always advancing the term that is
+    // furthest behind, since only that can make the span smaller
+    const indexes = positions.map(() => 0);
+    let span = Infinity;
+    for (;;) {
+      let lowest = 0;
+      let highest = -Infinity;
+      positions.forEach((p, i) => {
+        if (p[indexes[i]] < positions[lowest][indexes[lowest]]) lowest = i;
+        highest = Math.max(highest, p[indexes[i]]);
+      });
+      span = Math.min(span, highest - positions[lowest][indexes[lowest]]);
+      indexes[lowest] += 1;
+      if (indexes[lowest] >= positions[lowest].length) return span;
+    }
+  }
+
+  /**
+   * Internal method that multiplies the score of each document by its proximity boost: one plus
+   * `boost` times the fraction of pairs of query terms that appear within `window` words of each
+   * other in the document.
+   * 
+   * @param {Map<string, number>} scores
+   * A `Map` from document identifiers to their scores, updated in place.
+   * @param {string[]} terms
+   * The unique terms of the query, excluding stopwords.
+   * @param {ProximityOptions} options
+   * An object to define the window and the boost.
+   */
+  _applyProximityBoost(scores, terms, options) {
+    const { window, boost } = { ...defaultProximity, ...options };
+    if (terms.length < 2) return;
+    const pairs = terms.flatMap((a, i) => terms.slice(i + 1).map(b => [a, b]));
+    for (const [d, score] of scores) {
+      const document = this._documents.get(d);
+      if (!document.hasPositions()) continue;
+      const close = pairs.filter(pair => this._getMinimumSpan(document, pair) <= window).length;
+      scores.set(d, score * (1 + boost * close / pairs.length));
+    }
+  }
+
+  /**
+   * Internal method that merges the word and phrase clauses of a group that repeat the same terms
+   * with the same occur, counting the repetitions and keeping the largest boost.
+   * 
+   * @param {import("./QueryParser").BooleanNode} node
+   * The group to merge the clauses of.
+   * @returns {WeightedClause[]}
+   */
+  _groupClauses(node) {
+    /** @type {Map<string, WeightedClause>} */
+    const groups = new Map();
+    /** @type {WeightedClause[]} */
+    const clauses = [];
+    for (const clause of node.clauses) {
+      const boost = typeof clause.node.boost === 'number' ? clause.node.boost : 1;
+      const key = clause.node.type === 'boolean' || clause.node.type === 'vector'
+        ? null
+        : [
+          clause.occur, clause.node.type, clause.node.field || '',
+          isExpanded(clause.node) ? (clause.node.prefix ? '*' : `~${clause.node.fuzzy}`) : '',
+          ...this._textToTerms(clause.node.text)
+        ].join(' ');
+      const group = key === null ? undefined : groups.get(key);
+      if (group) {
+        group.count += 1;
+        group.boost = Math.max(group.boost, boost);
+        continue;
+      }
+      const weighted = { ...clause, count: 1, boost };
+      if (key !== null) groups.set(key, weighted);
+      clauses.push(weighted);
+    }
+    return clauses;
+  }
+
+  /**
+   * Internal method that returns how much a clause of a query counts towards the score, given how
+   * many times it was repeated: `count * (k3 + 1) / (k3 + count)`, as in BM25.
+   * 
+   * @param {number} count
+   * The number of times the clause was repeated.
+   * @param {QueryOptions} [options]
+   * The options of the query, with `k3`.
+   * @returns {number}
+   */
+  _getQueryTermWeight(count, options) {
+    const { k3 = 0 } = options || {};
+    if (k3 === Infinity) return count;
+    return (count * (k3 + 1)) / (k3 + count);
+  }
+
+  /**
+   * Internal method that combines the clauses of a group: documents must match every `must`
+   * clause (or, without any, at least one `should` clause) and no `mustNot` clause, and are
+   * scored by the total of their scores for the `must` and `should` clauses, each multiplied by
+   * its boost and by its weight in the query.
+   * 
+   * @param {import("./QueryParser").BooleanNode} node
+   * The node to evaluate.
+   * @param {QueryOptions} [options]
+   * The options of the query, which decide how repeated words are weighted.
+   * @returns {Map<string, number> | null}
+   */
+  _evaluateBooleanNode(node, options) {
+    /** @type {Record<import("./QueryParser").Occur, Array<Map<string, number>>>} */
+    const matches = { should: [], must: [], mustNot: [] };
+    for (const { occur, node: child, count, boost } of this._groupClauses(node)) {
+      const scores = this._evaluateQueryNode(child, options);
+      if (!scores) continue;
+      const factor = boost * this._getQueryTermWeight(count, options);
+      if (factor !== 1) {
+        scores.forEach((score, d) => scores.set(d, score * factor));
+      }
+      matches[occur].push(scores);
+    }
+
+    const { should, must, mustNot } = matches;
+    if (must.length === 0 && should.length === 0) {
+      // A group of only exclusions can not score anything
+      return mustNot.length > 0 ? new Map() : null;
+    }
+    /** @type {Iterable<string>} */
+    let candidates;
+    if (must.length > 0) {
+      candidates = Array.from(must[0].keys()).filter(d => must.every(m => m.has(d)));
+    } else {
+      candidates = new Set(should.flatMap(m => Array.from(m.keys())));
+    }
+    const scores = new Map();
+    for (const d of candidates) {
+      if (mustNot.some(m => m.has(d))) continue;
+      const score = [...must, ...should].reduce((total, m) => total + (m.get(d) || 0.0), 0.0);
+      scores.set(d, score);
+    }
+    return scores;
+  }
+
+  /**
+   * Internal method that returns the highest weight of a term in any document, or `0` when no
+   * document contains it.
+   * 
+   * @param {string} term
+   * The term to find the highest weight of.
+   * @returns {number}
+   */
+  _getMaxWeight(term) {
+    const postings = this.getPostings(term);
+    if (!postings) return 0.0;
+    let max = 0.0;
+    for (const weight of postings.values()) max = Math.max(max, weight);
+    return max;
+  }
+
+  /**
+   * Internal method that returns the highest score that any document could reach for a node of
+   * a parsed query: the total of the highest weight of each of its terms, multiplied by the
+   * boosts and weights of the clauses they are in.
+   * 
+   * @param {import("./QueryParser").QueryNode | VectorNode} node
+   * The node to find the highest score of.
+   * @param {QueryOptions} [options]
+   * The options of the query, which decide how repeated words are weighted.
+   * @returns {number}
+   */
+  _getMaxScore(node, options) {
+    if (node.type === 'vector') {
+      return Array.from(node.vector).reduce(
+        (total, [term, weight]) => total + weight * this._getMaxWeight(term), 0.0
+      );
+    }
+    if (isExpanded(node)) {
+      const expansions = Array.from(this._expandTerm(node, options) || []);
+      return expansions.reduce(
+        (max, [term, penalty]) => Math.max(max, penalty * this._getMaxWeight(term)), 0.0
+      );
+    }
+    if (node.type !== 'boolean') {
+      const terms = new Set(this._textToTerms(node.text).filter(t => !this._stopwords.includes(t)));
+      return Array.from(terms).reduce((total, term) => total + this._getMaxWeight(term), 0.0);
     }
-    return [];
+    return this._groupClauses(node)
+      .filter(clause => clause.occur !== 'mustNot')
+      .reduce((total, { node: child, count, boost }) => {
+        const factor = boost * this._getQueryTermWeight(count, options);
+        return total + factor * this._getMaxScore(child, options);
+      }, 0.0);
+  }
+
+  /**
+   * Internal method that divides each score by the given highest score, in place.
+   * 
+   * @param {Map<string, number>} scores
+   * A `Map` from document identifiers to their scores, updated in place.
+   * @param {number} maxScore
+   * The highest score that any document could reach.
+   */
+  _normalizeScores(scores, maxScore) {
+    if (maxScore <= 0) return;
+    scores.forEach((score, d) => scores.set(d, Math.min(1, score / maxScore)));
   }
 
   /**
    * Returns an array representing the highest scoring documents for the given query; each array
    * entry is a pair of a document identifier and a score, and the array is sorted in descending
    * order by the score. The score for a document is the total combined weight of each query term
-   * that appears in the document.
+   * that appears in the document, multiplied by the boost of the term and by its weight in the
+   * query (see the `k3` option).
+   * 
+   * The query may use the language described by {@link QueryParser}: `+required` and
+   * `-excluded` terms, `OR`, grouping with parentheses, `"quoted phrases"`, `boosts^2`,
+   * `prefixes*` and `fuzzy~1` words.  Each term that a prefix or fuzzy word matches is weighted
+   * less the further it is from the word, and documents score by the best of them.
+   * 
+   * With the `feedback` option, the query is first expanded with the terms returned by
+   * {@link Corpus.getFeedbackTerms}, which add to the scores of the documents containing them.
    * 
    * @param {string} query
    * A string containing space-separated terms to query for.
-   * @returns {Array<[string, number]>}
+   * @param {QueryOptions} [options]
+   * An object to filter, limit, paginate, threshold or normalize the results.
+   * @returns {QueryResults}
    */
-  getResultsForQuery(query) {
-    const terms = this._queryToUniqueTerms(query);
-    if (terms.length === 0) return [];
-
-    const scores = this.getDocumentIdentifiers().map(
-      /** @type {(d: string) => [string, number]} */
-      (d) => {
-        const vector = this.getDocumentVector(d);
-        let score = 0.0;
-        terms.forEach(t => {
-          const weight = vector.get(t);
-          if (weight) {
-            score += weight;
-          }
+  getResultsForQuery(query, options) {
+    const parsed = this._parseQuery(query);
+    const root = parsed && options && options.feedback
+      ? this._expandWithFeedback(query, parsed, options)
+      : parsed;
+    // Only the documents in the postings of the query terms can score above zero
+    const scores = root && this._evaluateQueryNode(root, options);
+    if (scores) this._filterScores(scores, options);
+    if (scores && options && options.proximity) {
+      this._applyProximityBoost(scores, this.getQueryTerms(query), options.proximity);
+    }
+    if (scores && options && options.normalize) {
+      const { boost } = { ...defaultProximity, ...options.proximity };
+      const proximityFactor = options.proximity ? 1 + boost : 1;
+      this._normalizeScores(scores, proximityFactor * this._getMaxScore(root, options));
+    }
+    return this._rankResults(scores || new Map(), options);
+  }
+
+  /**
+   * Internal method that returns the identifiers of the documents to expand a query from: the
+   * relevant documents given with the `feedback` option, or else the highest scoring documents
+   * of the query without it.
+   * 
+   * @param {string} query
+   * A query, in the language described by {@link QueryParser}.
+   * @param {QueryOptions} options
+   * The options of the query, with `feedback`.
+   * @returns {string[]}
+   */
+  _getFeedbackDocuments(query, options) {
+    const { feedback, ...rest } = options;
+    const { relevant, documents = 10 } = feedback;
+    if (relevant) return relevant;
+    return this.getResultsForQuery(query, { ...rest, limit: documents, offset: 0 }).map(d => d[0]);
+  }
+
+  /**
+   * Internal method that expands a parsed query with relevance feedback, as described in
+   * {@link Corpus.getFeedbackTerms}: the clauses of its top-level group are boosted by `alpha`,
+   * and a clause with the expansion terms is added to the group.  Required and excluded clauses
+   * keep restricting the results, while the expansion terms can add documents to them otherwise.
+   * 
+   * @param {string} query
+   * A query, in the language described by {@link QueryParser}.
+   * @param {import("./QueryParser").BooleanNode} root
+   * The parsed query.
+   * @param {QueryOptions} options
+   * The options of the query, with `feedback`.
+   * @returns {import("./QueryParser").BooleanNode}
+   */
+  _expandWithFeedback(query, root, options) {
+    const { feedback } = options;
+    const { nonRelevant = [], alpha = 1 } = feedback;
+    const relevant = this._getFeedbackDocuments(query, options);
+    const terms = this.getFeedbackTerms(query, relevant, nonRelevant, feedback);
+    if (terms.length === 0) return root;
+    const clauses = root.clauses.map(clause => {
+      const boost = typeof clause.node.boost === 'number' ? clause.node.boost : 1;
+      return { ...clause, node: { ...clause.node, boost: alpha * boost } };
+    });
+    /** @type {VectorNode} */
+    const expansion = { type: 'vector', vector: new Map(terms) };
+    return { ...root, clauses: [...clauses, { occur: 'should', node: expansion }] };
+  }
+
+  /**
+   * Returns an array representing the highest scoring documents that contain the given phrase,
+   * in the same form as {@link Corpus.getResultsForQuery}.  The score for a document is the total
+   * combined weight of the phrase's terms.
+   * 
+   * The words of the phrase must appear together and in order, with stopwords matched by position
+   * (so "proof of concept" does not match "proof that concept"); documents that do not know the
+   * positions of their terms only need to contain all of the phrase's terms.
+   * 
+   * @param {string} phrase
+   * A string containing the phrase to look for.
+   * @param {PhraseOptions & QueryOptions} [options]
+   * An object to allow the terms to appear near each other rather than together, and to filter,
+   * limit, paginate or threshold the results.
+   * @returns {QueryResults}
+   */
+  getResultsForPhrase(phrase, options) {
+    const { window = 0 } = options || {};
+    const words = typeof phrase === 'string' ? this._textToTerms(phrase) : [];
+    const hasTerms = words.some(t => !this._stopwords.includes(t));
+    const scores = hasTerms ? this._evaluatePhrase(words, window) : new Map();
+    this._filterScores(scores, options);
+    if (hasTerms && options && options.normalize) {
+      this._normalizeScores(scores, this._getMaxScore({ type: 'phrase', text: phrase }));
+    }
+    return this._rankResults(scores, options);
+  }
+
+  /**
+   * Returns a breakdown of the score of the document with the given identifier for the given
+   * query (e.g. to find out why a ranking looks wrong): how each term of the query is weighted in
+   * the document, and which terms were dropped as stopwords or because no document contains them.
+   * 
+   * @param {string} query
+   * A query, in the language described by {@link QueryParser}.
+   * @param {string} identifier
+   * The identifier of a document.
+   * @param {QueryOptions} [options]
+   * The options of the query, which affect its score as in {@link Corpus.getResultsForQuery}
+   * (except for the `filter`, `limit` and `offset`, which are ignored).
+   * @returns {Explanation}
+   */
+  explain(query, identifier, options) {
+    const document = this._documents.get(identifier);
+    if (!document) {
+      throw new Error(`no document with identifier \`${identifier}\` exists`);
+    }
+    /** @type {DocumentFilter} */
+    const filter = (metadata, id) => id === identifier;
+    // The documents that the query is expanded from must not be restricted by the filter
+    const feedback = options && options.feedback
+      ? { ...options.feedback, relevant: this._getFeedbackDocuments(query, options) }
+      : undefined;
+    const [result] = this.getResultsForQuery(
+      query, { ...options, feedback, filter, limit: 1, offset: 0 }
+    );
+    const score = result ? result[1] : 0.0;
+    const vector = this.getDocumentVector(identifier);
+    const averageLength = this._getAverageLength();
+    const length = document.getLength();
+    const ndl = averageLength > 0 ? length / averageLength : 0;
+    const [K1, b] = [this._K1, this._b];
+
+    const queryTerms = this._queryToUniqueTerms(query);
+    const counted = result ? this._getCountedTerms(query, identifier, options) : new Set();
+    // Including the stopwords of the document's language
+    const documentStopwords = this._getStopwordsFor(document);
+    const stopwords = queryTerms.filter(t => documentStopwords.includes(t));
+    const outOfVocabulary = queryTerms.filter(
+      t => !documentStopwords.includes(t) && this.getCollectionFrequency(t) === 0
+    );
+    const terms = queryTerms
+      .filter(t => !stopwords.includes(t) && !outOfVocabulary.includes(t))
+      .map(term => {
+        const tf = document.getTermFrequency(term);
+        const lengthNormalization = 1 - b + b * ndl;
+        /** @type {TermExplanation} */
+        const explanation = {
+          term,
+          tf,
+          idf: this.getCollectionFrequencyWeight(term),
+          lengthNormalization,
+          saturation: (tf * (K1 + 1)) / (K1 * lengthNormalization + tf),
+          weight: vector.get(term) || 0.0,
+          counted: counted.has(term)
+        };
+        if (document instanceof FieldedDocument) {
+          explanation.fields = this._explainFields(document, term);
+        }
+        return explanation;
+      });
+    return {
+      identifier, score, matched: Boolean(result), K1, b, length, averageLength, ndl,
+      terms, stopwords, outOfVocabulary, excluded: this._queryToUniqueTerms(query, true)
+    };
+  }
+
+  /**
+   * Internal method that returns the terms of a query that count towards the score of a document,
+   * by evaluating each word and phrase of the query (other than those of excluded clauses) in the
+   * same way as {@link Corpus.getResultsForQuery} does.
+   * 
+   * @param {string} query
+   * A query, in the language described by {@link QueryParser}.
+   * @param {string} identifier
+   * The identifier of a document.
+   * @param {QueryOptions} [options]
+   * The options of the query.
+   * @returns {Set<string>}
+   */
+  _getCountedTerms(query, identifier, options) {
+    /** @type {Set<string>} */
+    const counted = new Set();
+    const stopwords = this._getStopwordsFor(this._documents.get(identifier));
+    /** @param {import("./QueryParser").QueryNode} node */
+    const collect = (node) => {
+      if (node.type === 'boolean') {
+        node.clauses.filter(c => c.occur !== 'mustNot').forEach(c => collect(c.node));
+      } else if (isExpanded(node)) {
+        // A word ending with `*` or `~` counts by its best term, but any of them may be it
+        (this._expandTerm(node, options) || new Map()).forEach((_, term) => {
+          if (this._evaluateTerm(term, node.field || null).has(identifier)) counted.add(term);
         });
-        return [d, score];
+      } else {
+        const scores = this._evaluateQueryNode(node, options);
+        if (!scores || !scores.has(identifier)) return;
+        this._textToTerms(node.text)
+          .filter(t => !stopwords.includes(t))
+          .forEach(t => counted.add(t));
       }
-    );
-    return scores.filter(d => d[1] > 0).sort((a, b) => b[1] - a[1]);
+    };
+    const root = this._parseQuery(query);
+    if (root) collect(root);
+    return counted;
+  }
+
+  /**
+   * Internal method that returns how each field of a document that contains a term counts
+   * towards its BM25F weight.
+   * 
+   * @param {FieldedDocument} document
+   * The document containing the term.
+   * @param {string} term
+   * The term to explain.
+   * @returns {FieldExplanation[]}
+   */
+  _explainFields(document, term) {
+    const averages = this._getAverageFieldLengths();
+    return document.getFieldNames()
+      .filter(field => document.getFieldTermFrequency(field, term) > 0)
+      .map(field => {
+        const { boost = 1, b = this._b } = this._fields[field] || {};
+        const avgLength = averages.get(field);
+        const ndl = avgLength > 0 ? document.getFieldLength(field) / avgLength : 0;
+        return { field, tf: document.getFieldTermFrequency(field, term), ndl, boost, b };
+      });
+  }
+
+  /**
+   * Internal method that turns the scores of documents into {@link QueryResults}, keeping only
+   * the page of results asked for with a bounded heap rather than sorting all of them.
+   * 
+   * @param {Map<string, number>} scores
+   * A `Map` from document identifiers to their scores.
+   * @param {QueryOptions} [options]
+   * An object to limit, paginate or threshold the results.
+   * @returns {QueryResults}
+   */
+  _rankResults(scores, options) {
+    const { limit = Infinity, offset = 0, minScore = 0 } = options || {};
+    let total = 0;
+    /** @type {Array<[string, number]>} */
+    let results;
+    if (limit === Infinity) {
+      results = Array.from(scores).filter(d => d[1] > 0 && d[1] >= minScore);
+      total = results.length;
+      results = results.sort((a, b) => b[1] - a[1]).slice(offset);
+    } else {
+      /** @type {BoundedHeap<[string, number]>} */
+      const heap = new BoundedHeap(offset + limit);
+      for (const result of scores) {
+        if (result[1] <= 0 || result[1] < minScore) continue;
+        total += 1;
+        heap.push(result, result[1]);
+      }
+      results = heap.toSortedArray().slice(offset);
+    }
+    return Object.assign(results, { total });
   }
 
   /**
    * Returns the Stopwords instance that is being used by this corpus (for inspection or debugging).
+   * When given the identifier of a document, returns the stopwords applied to that document
+   * instead, which also include the stopwords of its language.
    * 
+   * @param {string} [identifier]
+   * The identifier of a document.
    * @returns {Stopwords}
    */
-  getStopwords() {
-    return this._stopwords;
+  getStopwords(identifier) {
+    if (identifier === undefined) return this._stopwords;
+    const document = this._documents.get(identifier);
+    return document ? this._getStopwordsFor(document) : this._stopwords;
   }
 }
 
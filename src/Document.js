@@ -1,6 +1,7 @@
 // A base for all documents, making no assumptions about how the document needs to
 // be interpreted.  As long as you can provide an array of individual words, it will
-// do its job.
+// do its job.  When the words are given in order, it also provides the positions of
+// each term, for phrase and proximity matching.
 export default class Document {
 
   /**
@@ -9,9 +10,42 @@ export default class Document {
    */
   constructor(words) {
     this._words = words;
+    // Whether `_words` are in the order they appear in the document
+    this._ordered = true;
+    // The words as they appeared before being normalized (such as by stemming), parallel to
+    // `_words`, when subclasses normalize them
+    /** @type {string[] | null} */
+    this._surfaceWords = null;
+    // The language of the document, such as `'en'`, when it is known
+    /** @type {string | null} */
+    this._language = null;
   
     /** @type {Map<string, number>} */
     this._termFrequencies = null;
+    /** @type {Map<string, number[]>} */
+    this._termPositions = null;
+    /** @type {Map<string, Map<string, number>>} */
+    this._surfaceForms = null;
+  }
+
+  /**
+   * Builds a {@link Document} from the term frequencies of a snapshot produced by
+   * {@link Document.toJSON}.  The order of the original words is not preserved.
+   * 
+   * @param {DocumentSnapshot} snapshot
+   * The snapshot to restore.
+   * @returns {Document}
+   */
+  static fromJSON(snapshot) {
+    /** @type {string[]} */
+    const words = [];
+    for (const [term, tf] of snapshot.terms) {
+      for (let i = 0; i < tf; i++) words.push(term);
+    }
+    const document = new Document(words);
+    document._ordered = false;
+    document.setLanguage(snapshot.language || null);
+    return document;
   }
 
   /**
@@ -43,6 +77,100 @@ export default class Document {
     return typeof tf !== 'number' ? 0 : tf;
   }
 
+  /**
+   * Internal method to record the positions at which each term appears in this document.
+   */
+  _calculateTermPositions() {
+    this._termPositions = new Map();
+    this._words.forEach((word, position) => {
+      if (this._termPositions.has(word)) {
+        this._termPositions.get(word).push(position);
+      } else {
+        this._termPositions.set(word, [position]);
+      }
+    });
+  }
+
+  /**
+   * Returns whether this document knows the positions of its terms.  Documents that do not (such
+   * as those restored from term frequencies alone) are still matched by phrase queries, just
+   * without checking that the terms are adjacent.
+   * 
+   * @returns {boolean}
+   */
+  hasPositions() {
+    return this._ordered;
+  }
+
+  /**
+   * Returns the positions (counted in words, from zero) at which the given term appears in this
+   * document, in ascending order, or `null` if this document does not know its positions.
+   * 
+   * @param {string} term
+   * The term of the query.
+   * @returns {number[] | null}
+   */
+  getTermPositions(term) {
+    if (!this.hasPositions()) return null;
+    if (!this._termPositions) {
+      this._calculateTermPositions();
+    }
+    return this._termPositions.get(term) || [];
+  }
+
+  /**
+   * Internal method to count how often each surface form (the word as it appeared before being
+   * normalized) of each term appears in this document.
+   */
+  _calculateSurfaceForms() {
+    this._surfaceForms = new Map();
+    const surfaceWords = this._surfaceWords || this._words;
+    this._words.forEach((word, i) => {
+      if (!this._surfaceForms.has(word)) {
+        this._surfaceForms.set(word, new Map());
+      }
+      const forms = this._surfaceForms.get(word);
+      forms.set(surfaceWords[i], (forms.get(surfaceWords[i]) || 0) + 1);
+    });
+  }
+
+  /**
+   * Returns a `Map` from each surface form of the given term (the word as it appeared before
+   * being normalized, such as "studies" for the stem "studi") to how often it appears in this
+   * document.  For documents that do not normalize their words, the only surface form of a term
+   * is the term itself.
+   * 
+   * @param {string} term
+   * The term of the query.
+   * @returns {Map<string, number>}
+   */
+  getSurfaceForms(term) {
+    if (!this._surfaceForms) {
+      this._calculateSurfaceForms();
+    }
+    return this._surfaceForms.get(term) || new Map();
+  }
+
+  /**
+   * Returns the language of this document (such as `'en'`), or `null` when it is not known.
+   * 
+   * @returns {string | null}
+   */
+  getLanguage() {
+    return this._language;
+  }
+
+  /**
+   * Tags this document with its language, which decides the stopwords that a {@link Corpus}
+   * applies to it.
+   * 
+   * @param {string | null} language
+   * The ISO 639-1 code of the language (such as `'en'`), or `null` when it is not known.
+   */
+  setLanguage(language) {
+    this._language = language;
+  }
+
   /**
    * Returns the total number of terms in the document (including stopwords).
    * 
@@ -63,4 +191,32 @@ export default class Document {
     }
     return Array.from(this._termFrequencies.keys());
   }
+
+  /**
+   * Returns a snapshot of this document's term frequencies that can be converted to JSON.
+   * Subclasses with more to save may accept an options object.
+   * 
+   * @returns {DocumentSnapshot}
+   */
+  toJSON() {
+    if (!this._termFrequencies) {
+      this._calculateTermFrequencies();
+    }
+    const terms = Array.from(this._termFrequencies.entries());
+    return this._language ? { terms, language: this._language } : { terms };
+  }
 }
+
+/**
+ * A plain-object representation of a {@link Document}.
+ * 
+ * @typedef DocumentSnapshot
+ * @prop {Array<[string, number]>} terms
+ * Pairs of each unique term and how often it appears in the document.
+ * @prop {string} [language]
+ * The language of the document, when it is known.
+ * @prop {string} [text]
+ * The full text of a {@link TextDocument}, when it was included.
+ * @prop {Record<string, string>} [fields]
+ * The text of each field of a {@link FieldedDocument}, when it was included.
+ */
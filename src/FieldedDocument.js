@@ -0,0 +1,139 @@
+import Document from './Document.js';
+import TextDocument from './TextDocument.js';
+
+/**
+ * How far apart, in words, the positions of consecutive fields are, so that phrases (and
+ * proximity windows smaller than this) never span two fields.
+ */
+const fieldGap = 100;
+
+// A document made of several named fields, such as a title, tags and a body, each of which is a
+// TextDocument with its own term frequencies and length. As a whole, it behaves like a document
+// with the words of all of its fields, so it can be used anywhere a Document can; the Corpus
+// class also weights its terms with BM25F, taking each field's boost and length into account.
+export default class FieldedDocument extends Document {
+
+  /**
+   * @param {Record<string, string> | Iterable<[string, string]>} fields
+   * An object or an iterable of key-value-pairs, from the name of each field to its text.
+   * @param {import("./TextDocument").TextDocumentOptions} [options]
+   * An object to define how words become terms, as for {@link TextDocument}.
+   */
+  constructor(fields, options) {
+    const entries = Symbol.iterator in Object(fields) ? Array.from(fields) : Object.entries(fields);
+    /** @type {Map<string, TextDocument>} */
+    const documents = new Map(
+      entries.map(([name, text]) => [name, new TextDocument(text, options)])
+    );
+    const parts = Array.from(documents.values());
+    super([].concat(...parts.map(part => part._words)));
+    this._fields = documents;
+    if (parts.some(part => part._surfaceWords)) {
+      this._surfaceWords = [].concat(...parts.map(part => part._surfaceWords || part._words));
+    }
+  }
+
+  /**
+   * Builds a document from a snapshot produced by {@link FieldedDocument.toJSON}.  When the
+   * snapshot includes the text of each field, the document is rebuilt from it; otherwise, this
+   * falls back to a plain {@link Document} built from the snapshot's term frequencies.
+   * 
+   * @param {import("./Document").DocumentSnapshot} snapshot
+   * The snapshot to restore.
+   * @returns {Document}
+   */
+  static fromJSON(snapshot) {
+    if (!snapshot.fields) return Document.fromJSON(snapshot);
+    const document = new this(snapshot.fields);
+    document.setLanguage(snapshot.language || null);
+    return document;
+  }
+
+  /**
+   * Internal method to record the positions at which each term appears in this document; the
+   * positions of each field start {@link fieldGap} words after the end of the previous field.
+   */
+  _calculateTermPositions() {
+    this._termPositions = new Map();
+    let start = 0;
+    for (const field of this._fields.values()) {
+      field._words.forEach((word, index) => {
+        const position = start + index;
+        if (this._termPositions.has(word)) {
+          this._termPositions.get(word).push(position);
+        } else {
+          this._termPositions.set(word, [position]);
+        }
+      });
+      start += field.getLength() + fieldGap;
+    }
+  }
+
+  /**
+   * Returns the names of the fields of this document, in order.
+   * 
+   * @returns {string[]}
+   */
+  getFieldNames() {
+    return Array.from(this._fields.keys());
+  }
+
+  /**
+   * Returns the given field of this document as a {@link TextDocument}, or `undefined` if this
+   * document does not have it.
+   * 
+   * @param {string} field
+   * The name of the field.
+   * @returns {TextDocument | undefined}
+   */
+  getField(field) {
+    return this._fields.get(field);
+  }
+
+  /**
+   * Returns a count of how often the given term appears in the given field of this document.
+   * 
+   * @param {string} field
+   * The name of the field.
+   * @param {string} term
+   * The term of the query.
+   * @returns {number}
+   */
+  getFieldTermFrequency(field, term) {
+    const document = this._fields.get(field);
+    return document ? document.getTermFrequency(term) : 0;
+  }
+
+  /**
+   * Returns the total number of terms in the given field of this document (including stopwords).
+   * 
+   * @param {string} field
+   * The name of the field.
+   * @returns {number}
+   */
+  getFieldLength(field) {
+    const document = this._fields.get(field);
+    return document ? document.getLength() : 0;
+  }
+
+  /**
+   * Returns a snapshot of this document's term frequencies and, optionally, the text of each of
+   * its fields.
+   * 
+   * @param {{ includeText?: boolean }} [options]
+   * Set `includeText` to `false` to leave the text out, keeping the snapshot small.
+   * @returns {import("./Document").DocumentSnapshot}
+   */
+  toJSON(options) {
+    // `JSON.stringify` passes the property name as the argument
+    const { includeText = true } = typeof options === 'object' ? options : {};
+    const snapshot = super.toJSON();
+    if (!includeText) return snapshot;
+    /** @type {Record<string, string>} */
+    const fields = {};
+    this._fields.forEach((document, name) => {
+      fields[name] = document.getText();
+    });
+    return { ...snapshot, fields };
+  }
+}
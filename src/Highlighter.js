@@ -0,0 +1,200 @@
+import TextDocument from './TextDocument.js';
+import FieldedDocument from './FieldedDocument.js';
+
+/**
+ * @typedef HighlighterOptions
+ * @prop {number} [snippetLength]
+ * The length of each snippet, in words.  Defaults to `20`.
+ * @prop {number} [maxSnippets]
+ * The maximum number of snippets to return for a document.  Defaults to `3`.
+ */
+
+/**
+ * A term of a query, found in the text of a document.
+ * 
+ * @typedef Highlight
+ * @prop {string} term
+ * The term of the query.
+ * @prop {number} start
+ * The offset of the first character of the word in the text.
+ * @prop {number} end
+ * The offset just after the last character of the word in the text.
+ * @prop {string | null} field
+ * The field whose text the word is in, for a {@link FieldedDocument}; otherwise `null`.
+ */
+
+/**
+ * A passage of the text of a document, along with the terms of a query that it contains.
+ * 
+ * @typedef Snippet
+ * @prop {string} text
+ * The passage, exactly as it appears in the text.
+ * @prop {number} start
+ * The offset of the first character of the passage in the text.
+ * @prop {number} end
+ * The offset just after the last character of the passage in the text.
+ * @prop {number} score
+ * How well the passage matches the query.
+ * @prop {Highlight[]} highlights
+ * The terms of the query in the passage, with their offsets in the text (not in the passage).
+ * @prop {string | null} field
+ * The field whose text the passage is in, for a {@link FieldedDocument}; otherwise `null`.
+ */
+
+/**
+ * Finds the terms of a query in the text of a document, and the passages (snippets) of the text
+ * that match the query best, for displaying search results.  The text is tokenized in the same way
+ * as the document was, so every term that counted towards the score of a document can be found.
+ */
+export default class Highlighter {
+
+  /**
+   * @param {import("./Corpus").AnyCorpus} corpus
+   * Expects an instance of Corpus
+   * @param {HighlighterOptions} [options]
+   * An object to define the length and number of snippets.
+   */
+  constructor(corpus, options) {
+    const { snippetLength = 20, maxSnippets = 3 } = options || {};
+    this._corpus = corpus;
+    this._snippetLength = snippetLength;
+    this._maxSnippets = maxSnippets;
+  }
+
+  /**
+   * Returns every occurrence of the terms of the given query in the text of the document with the
+   * given identifier, in order.  Returns an empty array when the document has no text (such as a
+   * document restored from a snapshot without text).
+   * 
+   * @param {string} query
+   * A query, in the language described by {@link QueryParser}.
+   * @param {string} identifier
+   * The identifier of a document.
+   * @returns {Highlight[]}
+   */
+  getHighlights(query, identifier) {
+    const weights = this._getTermWeights(query, identifier);
+    return this._getSources(identifier).flatMap(({ field, document }) => document
+      .getTokens()
+      .filter(token => weights.has(token.term))
+      .map(({ term, start, end }) => ({ term, start, end, field })));
+  }
+
+  /**
+   * Returns the passages of the text of the document with the given identifier that match the
+   * given query best, in descending order by their score, without overlapping each other.  Each
+   * passage is `snippetLength` words long (or shorter, for short texts), and is scored by the
+   * weights of the query terms it contains, where repeating a term within the passage adds to its
+   * weight logarithmically: the score is the total of `weight * (1 + log(count))` for each term.
+   * 
+   * @param {string} query
+   * A query, in the language described by {@link QueryParser}.
+   * @param {string} identifier
+   * The identifier of a document.
+   * @param {HighlighterOptions} [options]
+   * An object to override the length and number of snippets given to the constructor.
+   * @returns {Snippet[]}
+   */
+  getSnippets(query, identifier, options) {
+    const { snippetLength = this._snippetLength, maxSnippets = this._maxSnippets } = options || {};
+    const weights = this._getTermWeights(query, identifier);
+    if (weights.size === 0) return [];
+    /** @type {Snippet[]} */
+    const candidates = [];
+    // The range of tokens of each candidate, to tell whether two candidates overlap
+    /** @type {Map<Snippet, { first: number, last: number }>} */
+    const ranges = new Map();
+    for (const { field, document } of this._getSources(identifier)) {
+      const text = document.getText();
+      const tokens = document.getTokens();
+      const matches = tokens.map((token, i) => i).filter(i => weights.has(tokens[i].term));
+      // Each passage starts a little before one of the matches, so it is shown in context
+      const starts = new Set(matches.map(i => Math.max(
+        0, Math.min(i - Math.floor(snippetLength / 4), tokens.length - snippetLength)
+      )));
+      for (const first of starts) {
+        const last = Math.min(first + snippetLength, tokens.length) - 1;
+        const highlights = matches
+          .filter(i => i >= first && i <= last)
+          .map(i => ({ term: tokens[i].term, start: tokens[i].start, end: tokens[i].end, field }));
+        const start = tokens[first].start;
+        const end = tokens[last].end;
+        const score = this._scorePassage(highlights, weights);
+        const snippet = { text: text.slice(start, end), start, end, score, highlights, field };
+        candidates.push(snippet);
+        ranges.set(snippet, { first, last });
+      }
+    }
+    candidates.sort((a, b) => b.score - a.score || a.start - b.start);
+    /** @type {Snippet[]} */
+    const snippets = [];
+    for (const candidate of candidates) {
+      if (snippets.length >= maxSnippets) break;
+      const { first, last } = ranges.get(candidate);
+      const overlaps = snippets.some(snippet => snippet.field === candidate.field &&
+        ranges.get(snippet).first <= last && first <= ranges.get(snippet).last);
+      if (!overlaps) snippets.push(candidate);
+    }
+    return snippets;
+  }
+
+  /**
+   * Internal method that returns the weight of each term of a query in a document, leaving out
+   * the terms that the document does not contain.
+   * 
+   * @param {string} query
+   * A query, in the language described by {@link QueryParser}.
+   * @param {string} identifier
+   * The identifier of a document.
+   * @returns {Map<string, number>}
+   */
+  _getTermWeights(query, identifier) {
+    const vector = this._corpus.getDocumentVector(identifier);
+    /** @type {Map<string, number>} */
+    const weights = new Map();
+    if (!vector) return weights;
+    for (const term of this._corpus.getQueryTerms(query)) {
+      if (vector.get(term) > 0) weights.set(term, vector.get(term));
+    }
+    return weights;
+  }
+
+  /**
+   * Internal method that returns the texts of a document: the document itself, when it is a
+   * {@link TextDocument} with text, or each field of a {@link FieldedDocument}.
+   * 
+   * @param {string} identifier
+   * The identifier of a document.
+   * @returns {Array<{ field: string | null, document: TextDocument }>}
+   */
+  _getSources(identifier) {
+    const document = this._corpus.getDocument(identifier);
+    if (document instanceof FieldedDocument) {
+      return document.getFieldNames().map(field => ({ field, document: document.getField(field) }));
+    }
+    if (document instanceof TextDocument && typeof document.getText() === 'string') {
+      return [{ field: null, document }];
+    }
+    return [];
+  }
+
+  /**
+   * Internal method that scores a passage by the terms of the query it contains.
+   * 
+   * @param {Highlight[]} highlights
+   * The terms of the query in the passage.
+   * @param {Map<string, number>} weights
+   * The weight of each term of the query in the document.
+   * @returns {number}
+   */
+  _scorePassage(highlights, weights) {
+    /** @type {Map<string, number>} */
+    const counts = new Map();
+    highlights.forEach(({ term }) => counts.set(term, (counts.get(term) || 0) + 1));
+    let score = 0.0;
+    counts.forEach((count, term) => {
+      score += weights.get(term) * (1 + Math.log(count));
+    });
+    return score;
+  }
+}
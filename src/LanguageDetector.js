@@ -0,0 +1,87 @@
+import TextDocument from './TextDocument.js';
+import Stopwords from './Stopwords.js';
+import Tokenizer from './Tokenizer.js';
+
+/**
+ * @typedef LanguageDetectorOptions
+ * @prop {string[]} [languages]
+ * The languages to choose from, as ISO 639-1 codes with a bundled stopword list.  Defaults to
+ * every language returned by {@link Stopwords.getLanguages}.
+ * @prop {number} [minScore]
+ * The smallest fraction of the words of a text that must be stopwords of a language for the text
+ * to be detected as that language.  Defaults to `0.1`.
+ */
+
+/**
+ * A lightweight language detector, which guesses the language of a text from how many of its
+ * words are stopwords of each language.  Stopwords are the most frequent words of a language, so
+ * even short texts usually contain several of them; texts that are too short, or that contain
+ * as many stopwords of two languages, are not detected.
+ */
+export default class LanguageDetector {
+
+  /**
+   * @param {LanguageDetectorOptions} [options]
+   * An object to define which languages are detected.
+   */
+  constructor(options) {
+    const { languages = Stopwords.getLanguages(), minScore = 0.1 } = options || {};
+    /** @type {Array<[string, Stopwords]>} */
+    this._stopwords = languages.map(language => [language, Stopwords.forLanguage(language)]);
+    this._minScore = minScore;
+    this._tokenizer = new Tokenizer();
+  }
+
+  /**
+   * Returns the fraction of the words of the given text that are stopwords of each language,
+   * sorted in descending order by that fraction.
+   * 
+   * @param {string | string[]} text
+   * The text, or its (lowercase) words.
+   * @returns {Array<[string, number]>}
+   */
+  getScores(text) {
+    const words = typeof text === 'string' ? this._tokenizer.tokenize(text) : text;
+    /** @type {Array<[string, number]>} */
+    const scores = this._stopwords.map(([language, stopwords]) => {
+      const count = words.filter(word => stopwords.includes(word)).length;
+      return [language, words.length > 0 ? count / words.length : 0];
+    });
+    return scores.sort((a, b) => b[1] - a[1]);
+  }
+
+  /**
+   * Returns the language of the given text, or `null` when it could not be detected.
+   * 
+   * @param {string | string[]} text
+   * The text, or its (lowercase) words.
+   * @returns {string | null}
+   */
+  detect(text) {
+    const [best, second] = this.getScores(text);
+    if (!best || best[1] < this._minScore) return null;
+    // A tie means the text can not tell the two languages apart
+    if (second && second[1] === best[1]) return null;
+    return best[0];
+  }
+
+  /**
+   * Returns the language of the given document, or `null` when it could not be detected.  The
+   * text of a {@link TextDocument} is used when it is available, and its terms otherwise.
+   * 
+   * @param {import("./Document").default} document
+   * The document to detect the language of.
+   * @returns {string | null}
+   */
+  detectDocument(document) {
+    if (document instanceof TextDocument && typeof document.getText() === 'string') {
+      return this.detect(document.getText());
+    }
+    /** @type {string[]} */
+    const words = [];
+    for (const term of document.getUniqueTerms()) {
+      for (let i = 0; i < document.getTermFrequency(term); i++) words.push(term);
+    }
+    return this.detect(words);
+  }
+}
@@ -0,0 +1,352 @@
+import NgramDocument from './NgramDocument.js';
+
+/**
+ * @typedef NearDuplicatesOptions
+ * @prop {number} [threshold]
+ * The smallest Jaccard similarity between the shingles of two documents for them to be
+ * near-duplicates.  Defaults to `0.8`.
+ * @prop {number} [numHashes]
+ * The number of hash functions in each MinHash signature; more make the detection more reliable
+ * but slower.  Defaults to `128`.
+ * @prop {number} [shingleSize]
+ * The number of consecutive terms in each shingle.  Defaults to `1`, which compares the sets of
+ * terms of the documents.
+ */
+
+/**
+ * @typedef DuplicateIndex
+ * @prop {number} revision
+ * The revision of the corpus that the index was built for.
+ * @prop {Map<string, Set<string>>} shingles
+ * The shingles of each document that has any.
+ * @prop {Map<string, number[]>} signatures
+ * The MinHash signature of each document that has any shingles.
+ * @prop {Map<string, string[]>} buckets
+ * The identifiers of the documents in each bucket, keyed by the band and its hashes.
+ */
+
+/**
+ * Returns a 32-bit FNV-1a hash of the given string.
+ * 
+ * @param {string} text
+ * The string to hash.
+ * @returns {number}
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Scrambles the bits of a 32-bit number (the finalizer of MurmurHash3), so that each seed makes
+ * a different hash function.
+ * 
+ * @param {number} value
+ * The number to scramble.
+ * @returns {number}
+ */
+function mix(value) {
+  let hash = value;
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
+
+/**
+ * Returns the number of bands to split signatures into, so that documents as similar as the
+ * threshold are very likely to share a bucket.  The similarity at which documents are as likely
+ * to share a bucket as not is about `(1 / bands) ^ (1 / rows)`; the highest such similarity that
+ * is not above the threshold is chosen, favouring recall, since candidates are verified anyway.
+ * 
+ * @param {number} numHashes
+ * The number of hashes in each signature.
+ * @param {number} threshold
+ * The smallest similarity of near-duplicates.
+ * @returns {number}
+ */
+function chooseBands(numHashes, threshold) {
+  let best = numHashes;
+  let bestSimilarity = -Infinity;
+  for (let bands = 1; bands <= numHashes; bands++) {
+    if (numHashes % bands !== 0) continue;
+    const similarity = Math.pow(1 / bands, bands / numHashes);
+    if (similarity <= threshold && similarity > bestSimilarity) {
+      [best, bestSimilarity] = [bands, similarity];
+    }
+  }
+  return best;
+}
+
+/**
+ * Returns the Jaccard similarity of two sets: the size of their intersection divided by the size
+ * of their union.
+ * 
+ * @param {Set<string>} set1
+ * The first set.
+ * @param {Set<string>} set2
+ * The second set.
+ * @returns {number}
+ */
+function jaccard(set1, set2) {
+  let intersection = 0;
+  for (const item of set1) {
+    if (set2.has(item)) intersection += 1;
+  }
+  const union = set1.size + set2.size - intersection;
+  return union ? intersection / union : 0.0;
+}
+
+/**
+ * Finds near-duplicate documents in a corpus without comparing every pair of them, with MinHash
+ * and locality-sensitive hashing: the shingles (runs of consecutive terms, excluding stopwords)
+ * of each document are summarized by a signature of the smallest of their hashes under many hash
+ * functions, the signatures are split into bands, and only documents with an identical band are
+ * compared, by the Jaccard similarity of their shingles.  The index is rebuilt when documents are
+ * added to, removed from or updated in the corpus.
+ */
+export default class NearDuplicates {
+
+  /**
+   * @param {import("./Corpus").AnyCorpus} corpus
+   * Expects an instance of Corpus
+   * @param {NearDuplicatesOptions} [options]
+   * An object to define when documents are near-duplicates.
+   */
+  constructor(corpus, options) {
+    const { threshold = 0.8, numHashes = 128, shingleSize = 1 } = options || {};
+    this._corpus = corpus;
+    this._threshold = threshold;
+    this._shingleSize = shingleSize;
+    this._bands = chooseBands(numHashes, threshold);
+    this._rows = numHashes / this._bands;
+    this._seeds = Array.from({ length: numHashes }, (_, i) => mix(i + 1));
+    /** @type {DuplicateIndex | null} */
+    this._index = null;
+  }
+
+  /**
+   * Returns the groups of near-duplicate documents: each group is an array of the identifiers of
+   * at least two documents, where every document is a near-duplicate of at least one other
+   * document of its group.  Groups are in the order of their first document in the corpus.
+   * 
+   * @returns {string[][]}
+   */
+  getGroups() {
+    const index = this._getIndex();
+    const identifiers = this._corpus.getDocumentIdentifiers();
+    const order = new Map(identifiers.map((identifier, i) => [identifier, i]));
+    // Union-find over the documents, joining each pair of near-duplicates
+    /** @type {Map<string, string>} */
+    const parents = new Map();
+    /** @param {string} d */
+    const find = (d) => {
+      let root = d;
+      while (parents.has(root)) root = parents.get(root);
+      return root;
+    };
+    for (const [d1, d2] of this._getCandidatePairs(index)) {
+      if (jaccard(index.shingles.get(d1), index.shingles.get(d2)) < this._threshold) continue;
+      const [root1, root2] = [find(d1), find(d2)];
+      if (root1 === root2) continue;
+      // The root that comes first in the corpus stays the root
+      if (order.get(root1) < order.get(root2)) {
+        parents.set(root2, root1);
+      } else {
+        parents.set(root1, root2);
+      }
+    }
+    /** @type {Map<string, string[]>} */
+    const groups = new Map();
+    for (const identifier of identifiers) {
+      const root = find(identifier);
+      if (groups.has(root)) {
+        groups.get(root).push(identifier);
+      } else {
+        groups.set(root, [identifier]);
+      }
+    }
+    return Array.from(groups.values()).filter(group => group.length > 1);
+  }
+
+  /**
+   * Returns the near-duplicates of the document with the given identifier; each array entry is a
+   * pair of a document identifier and the Jaccard similarity of the shingles of the two documents,
+   * and the array is sorted in descending order by the similarity.
+   * 
+   * @param {string} identifier
+   * The identifier of a document.
+   * @returns {Array<[string, number]>}
+   */
+  getDuplicates(identifier) {
+    const index = this._getIndex();
+    const shingles = index.shingles.get(identifier);
+    if (!shingles) return [];
+    /** @type {Array<[string, number]>} */
+    const duplicates = [];
+    for (const other of this._getCandidates(index, identifier)) {
+      const similarity = jaccard(shingles, index.shingles.get(other));
+      if (similarity >= this._threshold) duplicates.push([other, similarity]);
+    }
+    return duplicates.sort((a, b) => b[1] - a[1]);
+  }
+
+  /**
+   * Returns the MinHash signature of the document with the given identifier: the smallest hash of
+   * its shingles under each hash function.  Returns `undefined` when there is no such document or
+   * it has no shingles.
+   * 
+   * @param {string} identifier
+   * The identifier of a document.
+   * @returns {number[] | undefined}
+   */
+  getSignature(identifier) {
+    return this._getIndex().signatures.get(identifier);
+  }
+
+  /**
+   * Internal method that returns the index of the corpus, rebuilding it if the corpus has changed
+   * since it was built.
+   * 
+   * @returns {DuplicateIndex}
+   */
+  _getIndex() {
+    const revision = this._corpus.getRevision();
+    if (!this._index || this._index.revision !== revision) {
+      this._index = { revision, shingles: new Map(), signatures: new Map(), buckets: new Map() };
+      for (const identifier of this._corpus.getDocumentIdentifiers()) {
+        const shingles = this._getShingles(identifier);
+        // Documents without shingles can not be near-duplicates of anything
+        if (shingles.size === 0) continue;
+        const signature = this._calculateSignature(shingles);
+        this._index.shingles.set(identifier, shingles);
+        this._index.signatures.set(identifier, signature);
+        this._getBandKeys(signature).forEach(key => {
+          if (this._index.buckets.has(key)) {
+            this._index.buckets.get(key).push(identifier);
+          } else {
+            this._index.buckets.set(key, [identifier]);
+          }
+        });
+      }
+    }
+    return this._index;
+  }
+
+  /**
+   * Internal method that returns the shingles of a document: each run of `shingleSize`
+   * consecutive terms, leaving out stopwords, joined by a space.  Documents that do not know the
+   * positions of their terms only have single terms as shingles.  The n-grams of an
+   * {@link NgramDocument} are left out, so that shingles are only made of its words.
+   * 
+   * @param {string} identifier
+   * The identifier of a document.
+   * @returns {Set<string>}
+   */
+  _getShingles(identifier) {
+    const document = this._corpus.getDocument(identifier);
+    const stopwords = this._corpus.getStopwords(identifier);
+    const words = document instanceof NgramDocument
+      ? Array.from(new Set(document._words.slice(0, document._wordCount)))
+      : document.getUniqueTerms();
+    const terms = words.filter(term => !stopwords.includes(term));
+    if (this._shingleSize <= 1 || !document.hasPositions()) return new Set(terms);
+    const sequence = terms
+      .flatMap(term => document.getTermPositions(term).map(position => ({ term, position })))
+      .sort((a, b) => a.position - b.position)
+      .map(d => d.term);
+    if (sequence.length < this._shingleSize) return new Set([sequence.join(' ')]);
+    /** @type {Set<string>} */
+    const shingles = new Set();
+    for (let i = 0; i + this._shingleSize <= sequence.length; i++) {
+      shingles.add(sequence.slice(i, i + this._shingleSize).join(' '));
+    }
+    return shingles;
+  }
+
+  /**
+   * Internal method that calculates the MinHash signature of a set of shingles.
+   * 
+   * @param {Set<string>} shingles
+   * The shingles of a document.
+   * @returns {number[]}
+   */
+  _calculateSignature(shingles) {
+    const signature = this._seeds.map(() => Infinity);
+    for (const shingle of shingles) {
+      const hash = hashString(shingle);
+      this._seeds.forEach((seed, i) => {
+        const value = mix(hash ^ seed);
+        if (value < signature[i]) signature[i] = value;
+      });
+    }
+    return signature;
+  }
+
+  /**
+   * Internal method that returns the keys of the buckets that a signature falls into, one for
+   * each band.
+   * 
+   * @param {number[]} signature
+   * The MinHash signature of a document.
+   * @returns {string[]}
+   */
+  _getBandKeys(signature) {
+    const keys = [];
+    for (let band = 0; band < this._bands; band++) {
+      const start = band * this._rows;
+      keys.push(`${band}:${signature.slice(start, start + this._rows).join(',')}`);
+    }
+    return keys;
+  }
+
+  /**
+   * Internal method that returns the other documents that share a bucket with a document.
+   * 
+   * @param {DuplicateIndex} index
+   * The index of the corpus.
+   * @param {string} identifier
+   * The identifier of a document in the index.
+   * @returns {Set<string>}
+   */
+  _getCandidates(index, identifier) {
+    /** @type {Set<string>} */
+    const candidates = new Set();
+    for (const key of this._getBandKeys(index.signatures.get(identifier))) {
+      index.buckets.get(key).forEach(other => candidates.add(other));
+    }
+    candidates.delete(identifier);
+    return candidates;
+  }
+
+  /**
+   * Internal method that returns each pair of documents that share a bucket, once.
+   * 
+   * @param {DuplicateIndex} index
+   * The index of the corpus.
+   * @returns {Array<[string, string]>}
+   */
+  _getCandidatePairs(index) {
+    /** @type {Set<string>} */
+    const seen = new Set();
+    /** @type {Array<[string, string]>} */
+    const pairs = [];
+    for (const bucket of index.buckets.values()) {
+      for (let i = 0; i < bucket.length; i++) {
+        for (let j = i + 1; j < bucket.length; j++) {
+          const key = JSON.stringify([bucket[i], bucket[j]]);
+          if (seen.has(key)) continue;
+          seen.add(key);
+          pairs.push([bucket[i], bucket[j]]);
+        }
+      }
+    }
+    return pairs;
+  }
+}
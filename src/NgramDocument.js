@@ -0,0 +1,112 @@
+import TextDocument from './TextDocument.js';
+import Stopwords from './Stopwords.js';
+
+/**
+ * How n-grams are built around stopwords:
+ * - `'split'` never builds an n-gram containing a stopword, so stopwords act as boundaries
+ * - `'inner'` allows stopwords inside an n-gram but not at either end, so "proof of concept" is
+ *   kept but "of concept" is not
+ * - `'ignore'` treats stopwords like any other word
+ * 
+ * @typedef {'split' | 'inner' | 'ignore'} StopwordRule
+ */
+
+/**
+ * @typedef NgramOptions
+ * @prop {number} [n]
+ * The longest n-gram to build, in words.  Defaults to `2` (bigrams).
+ * @prop {string[] | Stopwords} [stopwords]
+ * The stopwords that `stopwordRule` applies to.  Defaults to none.
+ * @prop {StopwordRule} [stopwordRule]
+ * How n-grams are built around stopwords.  Defaults to `'split'`.
+ * @prop {import("./Tokenizer").default | import("./Tokenizer").TokenizerOptions} [tokenizer]
+ * The pipeline that turns the text into terms, as for {@link TextDocument}.
+ * @prop {((word: string) => string) | null} [stemmer]
+ * A function that reduces each word to its stem, as for {@link TextDocument}; n-grams are built
+ * from the stems.  Defaults to `null`.
+ */
+
+// A TextDocument whose terms also include the n-grams (phrases of up to `n` words, joined by a
+// single space) of its text, so that phrases like "proof of concept" can be weighted alongside
+// single words. Since stopwords are usually managed by the Corpus class, the stopwords that
+// decide where n-grams may be built are passed in separately.
+export default class NgramDocument extends TextDocument {
+
+  /**
+   * @param {string} text
+   * Expects a single one of the texts originally passed into Corpus
+   * @param {NgramOptions} [options]
+   * An object to define which n-grams are built.
+   */
+  constructor(text, options) {
+    const { n = 2, stopwords = [], stopwordRule = 'split', ...textOptions } = options || {};
+    super(text, textOptions);
+    const stopwordList = Stopwords.from(stopwords);
+    const isStopword = (/** @type {string} */ word) => stopwordList.includes(word);
+
+    /** @type {(gram: string[]) => boolean} */
+    const isAllowed = {
+      split: (gram) => !gram.some(isStopword),
+      inner: (gram) => !isStopword(gram[0]) && !isStopword(gram[gram.length - 1]),
+      ignore: () => true
+    }[stopwordRule];
+    if (!isAllowed) {
+      throw new Error(`unknown stopword rule \`${stopwordRule}\``);
+    }
+
+    const words = this._words;
+    /** @type {string[]} */
+    const ngrams = [];
+    // The position of the first word and the number of words of each n-gram
+    /** @type {number[]} */
+    const starts = [];
+    /** @type {number[]} */
+    const sizes = [];
+    for (let size = 2; size <= n; size++) {
+      for (let start = 0; start + size <= words.length; start++) {
+        const gram = words.slice(start, start + size);
+        if (!isAllowed(gram)) continue;
+        ngrams.push(gram.join(' '));
+        starts.push(start);
+        sizes.push(size);
+      }
+    }
+
+    this._wordCount = words.length;
+    this._ngramStarts = starts;
+    this._words = words.concat(ngrams);
+    if (this._surfaceWords) {
+      const surfaceWords = this._surfaceWords;
+      const surfaceNgrams = starts.map(
+        (start, i) => surfaceWords.slice(start, start + sizes[i]).join(' ')
+      );
+      this._surfaceWords = surfaceWords.concat(surfaceNgrams);
+    }
+  }
+
+  /**
+   * Returns the total number of words in the document (including stopwords), not counting the
+   * n-grams, so that the length is the same as that of a {@link TextDocument} of the same text.
+   * 
+   * @returns {number}
+   */
+  getLength() {
+    return this._wordCount;
+  }
+
+  /**
+   * Internal method to record the positions at which each term appears in this document; the
+   * position of an n-gram is that of its first word.
+   */
+  _calculateTermPositions() {
+    this._termPositions = new Map();
+    this._words.forEach((word, index) => {
+      const position = index < this._wordCount ? index : this._ngramStarts[index - this._wordCount];
+      if (this._termPositions.has(word)) {
+        this._termPositions.get(word).push(position);
+      } else {
+        this._termPositions.set(word, [position]);
+      }
+    });
+  }
+}
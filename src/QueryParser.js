@@ -0,0 +1,274 @@
+/**
+ * How a clause of a {@link BooleanNode} affects which documents match: `should` clauses add to the
+ * score, `must` clauses are required, and `mustNot` clauses exclude documents.
+ * 
+ * @typedef {'should' | 'must' | 'mustNot'} Occur
+ */
+
+/**
+ * A single word of the query, as written.  It may still produce several terms (or none) once
+ * it is split into terms by the corpus.
+ * 
+ * @typedef TermNode
+ * @prop {'term'} type
+ * @prop {string} text
+ * @prop {number} [boost]
+ * How much more the word counts towards the score, when it is boosted with `^`.
+ * @prop {string} [field]
+ * The only field of a {@link FieldedDocument} the word may match in, when it is restricted
+ * with a `field:` prefix.
+ * @prop {boolean} [prefix]
+ * Whether the word also matches the terms that start with it, when it ends with `*`.
+ * @prop {number} [fuzzy]
+ * The largest number of edits between the word and the terms it matches, when it ends with `~`.
+ */
+
+/**
+ * A quoted phrase of the query, as written.
+ * 
+ * @typedef PhraseNode
+ * @prop {'phrase'} type
+ * @prop {string} text
+ * @prop {number} [boost]
+ * How much more the phrase counts towards the score, when it is boosted with `^`.
+ * @prop {string} [field]
+ * The only field of a {@link FieldedDocument} the phrase may match in, when it is restricted
+ * with a `field:` prefix.
+ */
+
+/**
+ * A group of clauses: the whole query, a parenthesized group, or clauses joined by `OR`.
+ * 
+ * @typedef BooleanNode
+ * @prop {'boolean'} type
+ * @prop {QueryClause[]} clauses
+ * @prop {number} [boost]
+ * How much more the group counts towards the score, when it is boosted with `^`.
+ */
+
+/**
+ * @typedef QueryClause
+ * @prop {Occur} occur
+ * @prop {QueryNode} node
+ */
+
+/**
+ * @typedef {TermNode | PhraseNode | BooleanNode} QueryNode
+ */
+
+/**
+ * A small parser for the query language accepted by {@link Corpus.getResultsForQuery}, which
+ * produces an abstract syntax tree made of {@link QueryNode} objects.
+ * 
+ * - words are optional by default: `tfidf cosine`
+ * - a `+` prefix makes a clause required and a `-` prefix excludes documents matching it:
+ *   `+tfidf -cosine`
+ * - `OR` joins clauses into a single clause that matches when any of them does; it is required
+ *   or excluded only when all of its parts are: `+tfidf OR +bm25`
+ * - parentheses group clauses: `+(tfidf bm25) -cosine`
+ * - double quotes make a phrase: `"proof of concept"`
+ * - a `^` suffix followed by a number boosts a word, phrase or group, multiplying how much it
+ *   counts towards the score: `tfidf^2 "proof of concept"^1.5 (bm25 cosine)^0.5`
+ * - a `field:` prefix restricts a word or phrase to a field of a {@link FieldedDocument}:
+ *   `title:tfidf body:"proof of concept"`
+ * - a `*` suffix matches every term starting with a word, and a `~` suffix followed by a number
+ *   matches every term within that many edits of a word (two, without a number):
+ *   `concep* cosne~1`
+ * 
+ * The parser is lenient, since queries usually come straight from users: unbalanced quotes and
+ * parentheses are closed at the end of the query, and a stray `)`, `+` or `-` is ignored.
+ */
+export default class QueryParser {
+
+  /**
+   * @param {string} query
+   * The query to parse.
+   */
+  constructor(query) {
+    this._query = query;
+    this._position = 0;
+  }
+
+  /**
+   * Parses the given query into a {@link BooleanNode} holding its top-level clauses.
+   * 
+   * @param {string} query
+   * The query to parse.
+   * @returns {BooleanNode}
+   */
+  static parse(query) {
+    return new QueryParser(query)._parseGroup(false);
+  }
+
+  /**
+   * Internal method that parses clauses until the end of the query or, in a parenthesized group,
+   * a closing parenthesis.  A closing parenthesis outside of any group is skipped.
+   * 
+   * @param {boolean} isNested
+   * Whether the group is in parentheses.
+   * @returns {BooleanNode}
+   */
+  _parseGroup(isNested) {
+    /** @type {QueryClause[]} */
+    const clauses = [];
+    for (;;) {
+      this._skipWhitespace();
+      if (this._isAtEnd()) break;
+      if (this._peek() === ')') {
+        this._position += 1;
+        if (isNested) break;
+        continue;
+      }
+      const clause = this._parseClause();
+      if (!clause) continue;
+      if (clause.node.type === 'term' && clause.node.text === 'OR' && clause.occur === 'should') {
+        const previous = clauses.pop();
+        this._skipWhitespace();
+        const next = this._isAtEnd() || this._peek() === ')' ? null : this._parseClause();
+        const operands = [previous, next].filter(Boolean);
+        if (operands.length > 0) clauses.push(QueryParser._joinWithOr(operands));
+        continue;
+      }
+      clauses.push(clause);
+    }
+    return { type: 'boolean', clauses };
+  }
+
+  /**
+   * Internal method that parses an optional `+` or `-` prefix followed by a word, a phrase or a
+   * parenthesized group.  Returns `null` when nothing could be parsed.
+   * 
+   * @returns {QueryClause | null}
+   */
+  _parseClause() {
+    /** @type {Occur} */
+    let occur = 'should';
+    const prefix = this._peek();
+    if (prefix === '+' || prefix === '-') {
+      this._position += 1;
+      if (this._isAtEnd() || /\s/.test(this._peek())) return null;
+      occur = prefix === '+' ? 'must' : 'mustNot';
+    }
+
+    const field = this._parseField();
+    const next = this._peek();
+    if (next === '(') {
+      this._position += 1;
+      return { occur, node: this._withBoost(this._parseGroup(true), this._parseBoost()) };
+    }
+    if (next === '"') {
+      this._position += 1;
+      const end = this._query.indexOf('"', this._position);
+      const stop = end === -1 ? this._query.length : end;
+      const text = this._query.slice(this._position, stop);
+      this._position = end === -1 ? stop : stop + 1;
+      /** @type {PhraseNode} */
+      const phrase = { type: 'phrase', text };
+      if (field !== null) phrase.field = field;
+      return { occur, node: this._withBoost(phrase, this._parseBoost()) };
+    }
+
+    const match = /^[^\s()"]+/.exec(this._query.slice(this._position));
+    if (!match) return null;
+    this._position += match[0].length;
+    const boosted = /^(.+)\^(\d+(?:\.\d+)?)$/.exec(match[0]);
+    const text = boosted ? boosted[1] : match[0];
+    const expanded = /^(.+?)(?:(\*)|~(\d*))$/.exec(text);
+    /** @type {TermNode} */
+    const term = { type: 'term', text: expanded ? expanded[1] : text };
+    if (field !== null) term.field = field;
+    if (expanded && expanded[2]) term.prefix = true;
+    if (expanded && !expanded[2]) term.fuzzy = expanded[3] ? Number(expanded[3]) : 2;
+    return { occur, node: this._withBoost(term, boosted ? Number(boosted[2]) : null) };
+  }
+
+  /**
+   * Internal method that parses a `field:` prefix, when it is directly followed by a word or a
+   * phrase.  Returns `null` when there is none.
+   * 
+   * @returns {string | null}
+   */
+  _parseField() {
+    const match = /^([^\s()":^]+):(?=[^\s():])/.exec(this._query.slice(this._position));
+    if (!match) return null;
+    this._position += match[0].length;
+    return match[1];
+  }
+
+  /**
+   * Internal method that parses a `^` suffix followed by a number, right after a phrase or group.
+   * Returns `null` when there is none.
+   * 
+   * @returns {number | null}
+   */
+  _parseBoost() {
+    const match = /^\^(\d+(?:\.\d+)?)/.exec(this._query.slice(this._position));
+    if (!match) return null;
+    this._position += match[0].length;
+    return Number(match[1]);
+  }
+
+  /**
+   * Internal method that sets the boost of a node, leaving nodes without a boost unchanged.
+   * 
+   * @template {QueryNode} T
+   * @param {T} node
+   * The node to boost.
+   * @param {number | null} boost
+   * The boost, or `null` when there is none.
+   * @returns {T}
+   */
+  _withBoost(node, boost) {
+    if (boost !== null) node.boost = boost;
+    return node;
+  }
+
+  /**
+   * Internal method that joins the operands of `OR` into a single clause.
+   * 
+   * @param {QueryClause[]} operands
+   * The clauses on either side of the `OR`.
+   * @returns {QueryClause}
+   */
+  static _joinWithOr(operands) {
+    const occur = operands.every(c => c.occur === operands[0].occur) ? operands[0].occur : 'should';
+    /** @type {QueryClause[]} */
+    const clauses = [];
+    operands.forEach(operand => {
+      // Flatten chains like `a OR b OR c` into one group
+      const node = operand.node;
+      const isPlainGroup = node.type === 'boolean' && node.boost === undefined;
+      if (isPlainGroup && node.clauses.every(c => c.occur === 'should')) {
+        clauses.push(...node.clauses);
+      } else {
+        clauses.push({ occur: 'should', node });
+      }
+    });
+    return { occur, node: { type: 'boolean', clauses } };
+  }
+
+  /**
+   * Internal method that advances past any whitespace.
+   */
+  _skipWhitespace() {
+    while (!this._isAtEnd() && /\s/.test(this._peek())) this._position += 1;
+  }
+
+  /**
+   * Internal method that returns the next character of the query without consuming it.
+   * 
+   * @returns {string}
+   */
+  _peek() {
+    return this._query.charAt(this._position);
+  }
+
+  /**
+   * Internal method that returns whether the whole query has been consumed.
+   * 
+   * @returns {boolean}
+   */
+  _isAtEnd() {
+    return this._position >= this._query.length;
+  }
+}
@@ -1,26 +1,87 @@
+import BoundedHeap from './BoundedHeap.js';
+
+/**
+ * The measures that are always zero for two vectors without any terms in common, so that only
+ * the documents sharing a term with a vector need to be compared with it.
+ */
+const sparseMeasures = ['cosine', 'jaccard', 'dot', 'bm25'];
+
 /**
  * @typedef DistanceMatrix
  * @prop {string[]} identifiers
  * An array of identifiers for the items in the matrix.
  * @prop {number[][]} matrix
  * An array of arrays, where the values represent distances between items.
- * Distance is 1.0 - similarity (so 0 = identical)
+ * Distance is 1.0 - similarity (so 0 = identical), after dividing the similarities by the largest
+ * one when it is above 1.0.
+ */
+
+/**
+ * A function that returns the similarity between a pair of document vectors, where higher values
+ * mean more similar documents.
+ * 
+ * @typedef {(vector1: Map<string, number>, vector2: Map<string, number>) => number} Measure
+ */
+
+/**
+ * @typedef SimilarityOptions
+ * @prop {string | Measure} [measure]
+ * How the similarity between two documents is calculated: one of `'cosine'`, `'jaccard'`,
+ * `'dot'`, `'euclidean'` and `'bm25'`, or a custom function.  Defaults to `'cosine'`.
+ */
+
+/**
+ * @typedef MostSimilarOptions
+ * @prop {import("./Corpus").DocumentFilter} [filter]
+ * When given, only the documents it selects are returned.
  */
 
 /**
  * For calculating the pairwise similarity between documents in the corpus, in particular to create
- * a distance matrix (distance = 1 - similarity).
+ * a distance matrix (distance = 1 - similarity).  The distance matrix is recalculated if documents
+ * are added to, removed from or updated in the corpus.  The similarity is the cosine similarity,
+ * unless another measure is chosen with the `measure` option.
  */
 export default class Similarity {
 
   /**
    * @param {import("./Corpus").AnyCorpus} corpus
    * Expects an instance of Corpus 
+   * @param {SimilarityOptions} [options]
+   * An object to choose the measure of similarity.
    */
-  constructor(corpus) {
+  constructor(corpus, options) {
+    const { measure = 'cosine' } = options || {};
     this._corpus = corpus;
+    this._measure = Similarity.getMeasure(measure);
+    // Custom measures may not be zero for documents without terms in common
+    this._isSparse = typeof measure === 'string' && sparseMeasures.includes(measure);
     /** @type {DistanceMatrix | null} */
     this._distanceMatrix = null;
+    // The revision of the corpus that the distance matrix was calculated for
+    this._revision = -1;
+  }
+
+  /**
+   * Converts the given name of a measure into its function, returning functions as they are.
+   * 
+   * @param {string | Measure} measure
+   * One of `'cosine'`, `'jaccard'`, `'dot'`, `'euclidean'` and `'bm25'`, or a function.
+   * @returns {Measure}
+   */
+  static getMeasure(measure) {
+    if (typeof measure === 'function') return measure;
+    const measures = {
+      'cosine': Similarity.cosineSimilarity,
+      'jaccard': Similarity.jaccardSimilarity,
+      'dot': Similarity.dotProduct,
+      'euclidean': Similarity.euclideanSimilarity,
+      'bm25': Similarity.bm25Similarity
+    };
+    if (!Object.prototype.hasOwnProperty.call(measures, measure)) {
+      throw new Error(`unknown measure \`${measure}\``);
+    }
+    return measures[measure];
   }
 
   /**
@@ -28,7 +89,8 @@ export default class Similarity {
    * between them): https://en.wikipedia.org/wiki/Cosine_similarity
    * 
    * Each vector is represented as an ES6 Map from each term to its combined (TF-IDF) weight
-   * for the corresponding document.
+   * for the corresponding document.  The vectors may be sparse; a term missing from a vector
+   * has a weight of zero.
    * 
    * @param {Map<string, number>} vector1
    * The first vector.
@@ -37,54 +99,251 @@ export default class Similarity {
    * @returns {number}
    */
   static cosineSimilarity(vector1, vector2) {
-    const v1 = Array.from(vector1.values());
-    const v2 = Array.from(vector2.values());
     let dotProduct = 0.0;
     let ss1 = 0.0;
     let ss2 = 0.0;
-    const length = Math.min(v1.length, v2.length);
-    for (let i = 0; i < length; i++) {
-      // Ignore pairs that will not affect either the dot product or the magnitude
-      if (v1[i] === 0 && v2[i] === 0) continue;
-      dotProduct += v1[i] * v2[i];
-      ss1 += v1[i] * v1[i];
-      ss2 += v2[i] * v2[i];
+    for (const [term, w1] of vector1) {
+      ss1 += w1 * w1;
+      // Only terms present in both vectors affect the dot product
+      const w2 = vector2.get(term);
+      if (w2) dotProduct += w1 * w2;
+    }
+    for (const w2 of vector2.values()) {
+      ss2 += w2 * w2;
     }
     const magnitude = Math.sqrt(ss1) * Math.sqrt(ss2);
     return magnitude ? dotProduct / magnitude : 0.0;
   }
 
   /**
-   * Internal method to calculate the distance between each pair of documents in the corpus
+   * Calculates the weighted Jaccard similarity between a pair of document vectors: the total of
+   * the smaller weight of each term divided by the total of the larger weight, which is the
+   * fraction of terms in common when every weight is 1.
+   * https://en.wikipedia.org/wiki/Jaccard_index
+   * 
+   * @param {Map<string, number>} vector1
+   * The first vector.
+   * @param {Map<string, number>} vector2
+   * The second vector.
+   * @returns {number}
    */
-  _calculateDistanceMatrix() {
-    const identifiers = this._corpus.getDocumentIdentifiers();
+  static jaccardSimilarity(vector1, vector2) {
+    let min = 0.0;
+    let max = 0.0;
+    for (const [term, w1] of vector1) {
+      const w2 = vector2.get(term) || 0.0;
+      min += Math.min(w1, w2);
+      max += Math.max(w1, w2);
+    }
+    for (const [term, w2] of vector2) {
+      // Terms in both vectors were already counted
+      if (!vector1.has(term)) max += w2;
+    }
+    return max ? min / max : 0.0;
+  }
+
+  /**
+   * Calculates the dot product of a pair of document vectors: the total of the products of the
+   * weights of the terms they have in common.  Unlike the cosine similarity, it grows with the
+   * weights, so longer documents with more weighty terms are more similar.
+   * 
+   * @param {Map<string, number>} vector1
+   * The first vector.
+   * @param {Map<string, number>} vector2
+   * The second vector.
+   * @returns {number}
+   */
+  static dotProduct(vector1, vector2) {
+    // Only the terms of the smaller vector need to be looked up in the other
+    const swap = vector1.size > vector2.size;
+    const [smaller, larger] = swap ? [vector2, vector1] : [vector1, vector2];
+    let dotProduct = 0.0;
+    for (const [term, w1] of smaller) {
+      const w2 = larger.get(term);
+      if (w2) dotProduct += w1 * w2;
+    }
+    return dotProduct;
+  }
+
+  /**
+   * Calculates the Euclidean distance between a pair of document vectors, where a term missing
+   * from a vector has a weight of zero.
+   * 
+   * @param {Map<string, number>} vector1
+   * The first vector.
+   * @param {Map<string, number>} vector2
+   * The second vector.
+   * @returns {number}
+   */
+  static euclideanDistance(vector1, vector2) {
+    let ss = 0.0;
+    for (const [term, w1] of vector1) {
+      const difference = w1 - (vector2.get(term) || 0.0);
+      ss += difference * difference;
+    }
+    for (const [term, w2] of vector2) {
+      if (!vector1.has(term)) ss += w2 * w2;
+    }
+    return Math.sqrt(ss);
+  }
+
+  /**
+   * Calculates the similarity between a pair of document vectors from their Euclidean distance,
+   * as `1 / (1 + distance)`, which is 1 for identical vectors and approaches 0 as they grow apart.
+   * 
+   * @param {Map<string, number>} vector1
+   * The first vector.
+   * @param {Map<string, number>} vector2
+   * The second vector.
+   * @returns {number}
+   */
+  static euclideanSimilarity(vector1, vector2) {
+    return 1 / (1 + Similarity.euclideanDistance(vector1, vector2));
+  }
+
+  /**
+   * Calculates a BM25 similarity between a pair of document vectors: the score that each document
+   * would get for the other as a query (the total of its weights for the terms they have in
+   * common), averaged over both directions so that the similarity is symmetric.
+   * 
+   * @param {Map<string, number>} vector1
+   * The first vector.
+   * @param {Map<string, number>} vector2
+   * The second vector.
+   * @returns {number}
+   */
+  static bm25Similarity(vector1, vector2) {
+    let score = 0.0;
+    for (const [term, w1] of vector1) {
+      const w2 = vector2.get(term);
+      if (w2) score += w1 + w2;
+    }
+    return score / 2;
+  }
+
+  /**
+   * Internal method to calculate the distance between each pair of the given documents.
+   * 
+   * @param {string[]} identifiers
+   * The identifiers of the documents.
+   * @returns {DistanceMatrix}
+   */
+  _calculateDistanceMatrix(identifiers) {
     const vectors = identifiers.map(d => this._corpus.getDocumentVector(d));
     /** @type {number[][]} */
     const matrix = new Array(vectors.length).fill(null).map(() => new Array(vectors.length));
+    // Measures that are not between 0 and 1 are scaled by their largest similarity, so distances
+    // are never negative
+    let scale = 1.0;
     for (let i = 0; i < vectors.length; i++) {
-      for (let j = i; j < vectors.length; j++) {
-        if (i === j) {
-          // A document is identical to itself
-          matrix[i][j] = 0.0;
-        } else {
-          matrix[i][j] = 1.0 - Similarity.cosineSimilarity(vectors[i], vectors[j]);
-          matrix[j][i] = matrix[i][j]; // the matrix is symmetric
-        }
+      for (let j = i + 1; j < vectors.length; j++) {
+        matrix[i][j] = this._measure(vectors[i], vectors[j]);
+        scale = Math.max(scale, matrix[i][j]);
       }
     }
-    this._distanceMatrix = { identifiers, matrix };
+    for (let i = 0; i < vectors.length; i++) {
+      // A document is identical to itself
+      matrix[i][i] = 0.0;
+      for (let j = i + 1; j < vectors.length; j++) {
+        matrix[i][j] = 1.0 - matrix[i][j] / scale;
+        matrix[j][i] = matrix[i][j]; // the matrix is symmetric
+      }
+    }
+    return { identifiers, matrix };
   }
 
   /**
-   * Calculates a {@link DistanceMatrix}, if needed, and returns it.
+   * Calculates a {@link DistanceMatrix}, if needed, and returns it.  When given a filter, the
+   * matrix only covers the documents it selects, and is calculated every time instead of being
+   * kept.
    * 
+   * @param {import("./Corpus").DocumentFilter} [filter]
+   * When given, only the documents it selects are included.
    * @returns {DistanceMatrix}
    */
-  getDistanceMatrix() {
-    if (!this._distanceMatrix) {
-      this._calculateDistanceMatrix();
+  getDistanceMatrix(filter) {
+    if (filter) {
+      return this._calculateDistanceMatrix(this._corpus.getDocumentIdentifiers(filter));
+    }
+    if (!this._distanceMatrix || this._revision !== this._corpus.getRevision()) {
+      this._distanceMatrix = this._calculateDistanceMatrix(this._corpus.getDocumentIdentifiers());
+      this._revision = this._corpus.getRevision();
     }
     return this._distanceMatrix;
   }
+
+  /**
+   * Returns the documents most similar to the document with the given identifier (leaving out
+   * the document itself); each array entry is a pair of a document identifier and a similarity,
+   * and the array is sorted in descending order by the similarity, with a maximum length of `k`.
+   * Returns an empty array when there is no such document.
+   * 
+   * @param {string} identifier
+   * The identifier of a document.
+   * @param {number} [k]
+   * The maximum number of documents to return; defaults to 10.
+   * @param {MostSimilarOptions} [options]
+   * An object to filter the documents.
+   * @returns {Array<[string, number]>}
+   */
+  getMostSimilar(identifier, k = 10, options) {
+    const vector = this._corpus.getDocumentVector(identifier);
+    if (!vector) return [];
+    return this._getMostSimilarToVector(vector, k, options, identifier);
+  }
+
+  /**
+   * Returns the documents most similar to the given text, in the same form as
+   * {@link Similarity.getMostSimilar}.  The text is weighted with the current weights of the
+   * corpus (see {@link Corpus.vectorize}), without being added to it.
+   * 
+   * @param {string} text
+   * The text to compare the documents with.
+   * @param {number} [k]
+   * The maximum number of documents to return; defaults to 10.
+   * @param {MostSimilarOptions} [options]
+   * An object to filter the documents.
+   * @returns {Array<[string, number]>}
+   */
+  getMostSimilarToText(text, k = 10, options) {
+    return this._getMostSimilarToVector(this._corpus.vectorize(text), k, options);
+  }
+
+  /**
+   * Internal method that returns the `k` documents most similar to a vector.  With the measures
+   * that are zero for documents without terms in common, only documents that share a term with
+   * the vector can be similar to it, so only those in the postings of its terms are compared.
+   * 
+   * @param {Map<string, number>} vector
+   * The vector to compare the documents with.
+   * @param {number} k
+   * The maximum number of documents to return.
+   * @param {MostSimilarOptions} [options]
+   * An object to filter the documents.
+   * @param {string} [exclude]
+   * The identifier of a document to leave out.
+   * @returns {Array<[string, number]>}
+   */
+  _getMostSimilarToVector(vector, k, options, exclude) {
+    const { filter } = options || {};
+    const selected = filter ? new Set(this._corpus.getDocumentIdentifiers(filter)) : null;
+    /** @type {Set<string>} */
+    const candidates = new Set();
+    if (this._isSparse) {
+      for (const term of vector.keys()) {
+        const postings = this._corpus.getPostings(term);
+        if (postings) postings.forEach((_, id) => candidates.add(id));
+      }
+    } else {
+      this._corpus.getDocumentIdentifiers().forEach(id => candidates.add(id));
+    }
+    /** @type {BoundedHeap<[string, number]>} */
+    const heap = new BoundedHeap(k);
+    for (const id of candidates) {
+      if (id === exclude || (selected && !selected.has(id))) continue;
+      const similarity = this._measure(vector, this._corpus.getDocumentVector(id));
+      if (similarity > 0) heap.push([id, similarity], similarity);
+    }
+    return heap.toSortedArray();
+  }
 }
@@ -1,3 +1,5 @@
+import stopwordLists from './stopwordLists.js';
+
 /**
  * A wrapper around a {@link Set} that stores stopwords.
  */
@@ -26,6 +28,29 @@ export default class Stopwords {
     return new Stopwords(stopwordsOrTerms);
   }
 
+  /**
+   * Builds a {@link Stopwords} instance from the bundled list for the given language.
+   * 
+   * @param {string} language
+   * The ISO 639-1 code of the language, such as `'de'`; see {@link Stopwords.getLanguages}.
+   * @returns {Stopwords}
+   */
+  static forLanguage(language) {
+    if (!Object.prototype.hasOwnProperty.call(stopwordLists, language)) {
+      throw new Error(`no stopwords for language \`${language}\``);
+    }
+    return new Stopwords(stopwordLists[language]);
+  }
+
+  /**
+   * Returns the codes of the languages that have a bundled stopword list.
+   * 
+   * @returns {string[]}
+   */
+  static getLanguages() {
+    return Object.keys(stopwordLists);
+  }
+
   /**
    * Creates a new {@link Stopwords} instance that includes additional stopwords.
    * 
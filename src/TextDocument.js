@@ -1,31 +1,44 @@
 import Document from "./Document";
+import Tokenizer from './Tokenizer.js';
+
+/**
+ * @typedef TextDocumentOptions
+ * @prop {Tokenizer | import("./Tokenizer").TokenizerOptions} [tokenizer]
+ * The pipeline that turns the text into terms.  Defaults to the default {@link Tokenizer}.
+ * @prop {((word: string) => string) | null} [stemmer]
+ * A function that reduces each (lowercase) word to its stem or lemma, such as the included
+ * {@link porterStemmer}; when given, it replaces the stemmer of the `tokenizer`.  Defaults to
+ * `null`, keeping the stemmer of the `tokenizer`.
+ */
 
 // This is used by the Corpus class for each of the given texts. It is independent of any stopword
 // list or term weights (which are managed at the corpus level) and only maintains the
-// document-level term frequencies. Terms can contain only letters or numbers; they are filtered
-// out if they contain only 1 character or if they start with a number.
+// document-level term frequencies. Terms are produced by a Tokenizer; by default, they contain
+// letters and numbers of any script, and words are filtered out if they contain only 1
+// character or if they start with a number.
 export default class TextDocument extends Document {
 
   /**
    * @param {string} text
    * Expects a single one of the texts originally passed into Corpus
+   * @param {TextDocumentOptions} [options]
+   * An object to define how words become terms.
    */
-  constructor(text) {
-    const words = text
-      .match(/[a-zA-ZÀ-ÖØ-öø-ÿ]+/g)
-      .filter(word => {
-        // Exclude very short terms and terms that start with a number
-        // (stopwords are dealt with by the Corpus class)
-        if (word.length < 2 || word.match(/^\d/)) {
-          return false;
-        } else {
-          return true;
-        }
-      })
-      .map(word => word.toLowerCase());
+  constructor(text, options) {
+    const { tokenizer = undefined, stemmer = null } = options || {};
+    let pipeline = Tokenizer.from(tokenizer);
+    if (stemmer) {
+      pipeline = pipeline.with({ stemmer });
+    }
+    // Stopwords are dealt with by the Corpus class
+    const tokens = pipeline.analyze(text);
   
-    super(words);
+    super(tokens.map(token => token.term));
     this._text = text;
+    this._tokenizer = pipeline;
+    if (pipeline.hasStemmer()) {
+      this._surfaceWords = tokens.map(token => token.surface);
+    }
   }
 
   /**
@@ -40,6 +53,36 @@ export default class TextDocument extends Document {
     return textOrDocument instanceof Document ? textOrDocument : new this(textOrDocument);
   }
 
+  /**
+   * Builds a document from a snapshot produced by {@link TextDocument.toJSON}.  When the snapshot
+   * includes the text, the document is rebuilt from it; otherwise, this falls back to a plain
+   * {@link Document} built from the snapshot's term frequencies.
+   * 
+   * @param {import("./Document").DocumentSnapshot} snapshot
+   * The snapshot to restore.
+   * @returns {Document}
+   */
+  static fromJSON(snapshot) {
+    if (typeof snapshot.text !== 'string') return Document.fromJSON(snapshot);
+    const document = new this(snapshot.text);
+    document.setLanguage(snapshot.language || null);
+    return document;
+  }
+
+  /**
+   * Returns a snapshot of this document's term frequencies and, optionally, its text.
+   * 
+   * @param {{ includeText?: boolean }} [options]
+   * Set `includeText` to `false` to leave the text out, keeping the snapshot small.
+   * @returns {import("./Document").DocumentSnapshot}
+   */
+  toJSON(options) {
+    // `JSON.stringify` passes the property name as the argument
+    const { includeText = true } = typeof options === 'object' ? options : {};
+    const snapshot = super.toJSON();
+    return includeText ? { ...snapshot, text: this._text } : snapshot;
+  }
+
   /**
    * Returns a string containing the full text of this document (e.g. for display).
    * 
@@ -48,4 +91,14 @@ export default class TextDocument extends Document {
   getText() {
     return this._text;
   }
+
+  /**
+   * Returns the terms of this document's text along with their surface forms and character
+   * offsets, tokenized in the same way as the document was (e.g. to highlight them).
+   * 
+   * @returns {import("./Tokenizer").Token[]}
+   */
+  getTokens() {
+    return this._tokenizer.analyze(this._text);
+  }
 }
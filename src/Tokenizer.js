@@ -0,0 +1,310 @@
+// Runs of letters, combining marks and numbers, in any script
+const wordPattern = /[\p{L}\p{M}\p{N}]+/gu;
+// Runs of Chinese and Japanese characters, which are not separated by spaces
+const cjkPattern = /[\p{scx=Han}\p{scx=Hiragana}\p{scx=Katakana}]+/gu;
+// A single Chinese or Japanese character
+const cjkCharacter = /[\p{scx=Han}\p{scx=Hiragana}\p{scx=Katakana}]/gu;
+
+/**
+ * A word found in a text, before it is filtered or normalized.
+ * 
+ * @typedef Word
+ * @prop {string} text
+ * The word, exactly as it appears in the text.
+ * @prop {number} start
+ * The offset of the first character of the word in the text.
+ */
+
+/**
+ * A term produced by a {@link Tokenizer}, along with where it came from.
+ * 
+ * @typedef Token
+ * @prop {string} term
+ * The term, after normalizing and stemming.
+ * @prop {string} surface
+ * The word after normalizing but before stemming (its "surface form").
+ * @prop {number} start
+ * The offset of the first character of the word in the text.
+ * @prop {number} end
+ * The offset just after the last character of the word in the text.
+ */
+
+/**
+ * @typedef TokenizerOptions
+ * @prop {RegExp | ((text: string) => Word[])} [pattern]
+ * How a text is split into words: either a regular expression matching each word, or a function
+ * returning the words of a text.  Defaults to {@link Tokenizer.unicodeWords}.
+ * @prop {Array<(word: string) => boolean>} [filters]
+ * Functions that each return `false` for words that should be dropped.  They see the words as
+ * they appear in the text.  Defaults to dropping words of 1 character and words that start
+ * with a number.
+ * @prop {Array<(word: string) => string>} [normalizers]
+ * Functions applied, in order, to each word that is kept; a word normalized to an empty string
+ * is dropped.  Defaults to lowercasing.
+ * @prop {((word: string) => string) | null} [stemmer]
+ * A function applied last, reducing each normalized word to its stem or lemma, such as the
+ * included {@link porterStemmer}.  Defaults to `null`.
+ */
+
+/**
+ * A composable pipeline that turns text into terms: it splits the text into words, filters the
+ * words, normalizes them and optionally stems them.  The same tokenizer should be used for the
+ * documents of a corpus and for its queries, which {@link Corpus} does with its `tokenizer`
+ * option.
+ */
+export default class Tokenizer {
+
+  /**
+   * @param {TokenizerOptions} [options]
+   * An object to define each step of the pipeline; steps that are not given keep their defaults.
+   */
+  constructor(options) {
+    const config = { ...Tokenizer.defaultOptions(), ...options };
+    this._options = config;
+    this._pattern = config.pattern;
+    this._filters = config.filters;
+    this._normalizers = config.normalizers;
+    this._stemmer = config.stemmer;
+  }
+
+  /**
+   * Returns the options of the default pipeline, which splits text with
+   * {@link Tokenizer.unicodeWords}, drops words of 1 character and words that start with a
+   * number, and lowercases the rest.
+   * 
+   * @returns {Required<TokenizerOptions>}
+   */
+  static defaultOptions() {
+    return {
+      pattern: Tokenizer.unicodeWords,
+      filters: [Tokenizer.minLength(2), Tokenizer.noLeadingDigit],
+      normalizers: [Tokenizer.lowercase],
+      stemmer: null
+    };
+  }
+
+  /**
+   * Converts the given value into a {@link Tokenizer} instance, only invoking the constructor
+   * when it is not an instance.
+   * 
+   * @param {Tokenizer | TokenizerOptions | undefined} tokenizerOrOptions
+   * A {@link Tokenizer} instance or the options to build one from.
+   * When `undefined`, it will build the default pipeline.
+   * @returns {Tokenizer}
+   */
+  static from(tokenizerOrOptions) {
+    if (tokenizerOrOptions instanceof Tokenizer) return tokenizerOrOptions;
+    return new Tokenizer(tokenizerOrOptions);
+  }
+
+  /**
+   * Splits a text into words made of letters, combining marks and numbers, in any script.  Since
+   * Chinese and Japanese are written without spaces, their runs of characters are instead split
+   * into overlapping pairs of characters (bigrams), so that words can still be matched; a single
+   * character on its own is kept as it is.
+   * 
+   * @param {string} text
+   * The text to split.
+   * @returns {Word[]}
+   */
+  static unicodeWords(text) {
+    /** @type {Word[]} */
+    const words = [];
+    for (const match of text.matchAll(wordPattern)) {
+      let offset = 0;
+      for (const cjk of match[0].matchAll(cjkPattern)) {
+        if (cjk.index > offset) {
+          words.push({ text: match[0].slice(offset, cjk.index), start: match.index + offset });
+        }
+        words.push(...Tokenizer._toBigrams(cjk[0], match.index + cjk.index));
+        offset = cjk.index + cjk[0].length;
+      }
+      if (offset < match[0].length) {
+        words.push({ text: match[0].slice(offset), start: match.index + offset });
+      }
+    }
+    return words;
+  }
+
+  /**
+   * Returns a function that splits text into words with `Intl.Segmenter`, which knows the word
+   * boundaries of languages written without spaces (such as Chinese, Japanese and Thai), for use
+   * as the `pattern` of a {@link Tokenizer}.  Where `Intl.Segmenter` is not available, this
+   * returns {@link Tokenizer.unicodeWords} instead.
+   * 
+   * @param {string | string[]} [locales]
+   * The locales to segment text for.  Defaults to the runtime's default locale.
+   * @returns {(text: string) => Word[]}
+   */
+  static segmenter(locales) {
+    // `Intl.Segmenter` is not available in every runtime
+    const Segmenter = typeof Intl !== 'undefined' ? /** @type {any} */ (Intl).Segmenter : undefined;
+    if (!Segmenter) return Tokenizer.unicodeWords;
+    const segmenter = new Segmenter(locales, { granularity: 'word' });
+    return (text) => {
+      /** @type {Word[]} */
+      const words = [];
+      for (const { segment, index, isWordLike } of segmenter.segment(text)) {
+        if (isWordLike) words.push({ text: segment, start: index });
+      }
+      return words;
+    };
+  }
+
+  /**
+   * Internal method that splits a run of characters into overlapping bigrams.
+   * 
+   * @param {string} run
+   * The run of characters.
+   * @param {number} start
+   * The offset of the run in the text.
+   * @returns {Word[]}
+   */
+  static _toBigrams(run, start) {
+    // Split by code point, so characters outside the Basic Multilingual Plane stay whole
+    const characters = Array.from(run);
+    if (characters.length === 1) return [{ text: run, start }];
+    /** @type {Word[]} */
+    const bigrams = [];
+    let offset = start;
+    for (let i = 0; i + 1 < characters.length; i++) {
+      bigrams.push({ text: characters[i] + characters[i + 1], start: offset });
+      offset += characters[i].length;
+    }
+    return bigrams;
+  }
+
+  /**
+   * Returns a filter that drops words shorter than `length` characters.  A Chinese or Japanese
+   * character counts as 2, since a single one is often a word of its own.
+   * 
+   * @param {number} length
+   * The minimum length of a word.
+   * @returns {(word: string) => boolean}
+   */
+  static minLength(length) {
+    return word => word.length + (word.match(cjkCharacter) || []).length >= length;
+  }
+
+  /**
+   * A filter that drops words starting with a number.
+   * 
+   * @param {string} word
+   * @returns {boolean}
+   */
+  static noLeadingDigit(word) {
+    return !/^\d/.test(word);
+  }
+
+  /**
+   * A normalizer that lowercases words.
+   * 
+   * @param {string} word
+   * @returns {string}
+   */
+  static lowercase(word) {
+    return word.toLowerCase();
+  }
+
+  /**
+   * Creates a new {@link Tokenizer} with some steps of the pipeline replaced.
+   * 
+   * @param {TokenizerOptions} options
+   * The steps to replace.
+   * @returns {Tokenizer}
+   */
+  with(options) {
+    return new Tokenizer({ ...this._options, ...options });
+  }
+
+  /**
+   * Returns whether this pipeline has a stemmer, in which case terms may differ from their
+   * surface forms.
+   * 
+   * @returns {boolean}
+   */
+  hasStemmer() {
+    return Boolean(this._stemmer);
+  }
+
+  /**
+   * Runs the whole pipeline on the given text, returning each of its terms along with its
+   * surface form and position.
+   * 
+   * @param {string} text
+   * The text to tokenize.
+   * @returns {Token[]}
+   */
+  analyze(text) {
+    /** @type {Token[]} */
+    const tokens = [];
+    for (const word of this._split(text)) {
+      if (!this._filters.every(filter => filter(word.text))) continue;
+      const surface = this.normalize(word.text);
+      if (!surface) continue;
+      const term = this._stemmer ? this._stemmer(surface) : surface;
+      tokens.push({ term, surface, start: word.start, end: word.start + word.text.length });
+    }
+    return tokens;
+  }
+
+  /**
+   * Runs the whole pipeline on the given text, returning its terms in order.
+   * 
+   * @param {string} text
+   * The text to tokenize.
+   * @returns {string[]}
+   */
+  tokenize(text) {
+    return this.analyze(text).map(token => token.term);
+  }
+
+  /**
+   * Applies only the normalizers to a single word.
+   * 
+   * @param {string} word
+   * The word to normalize.
+   * @returns {string}
+   */
+  normalize(word) {
+    return this._normalizers.reduce((w, normalizer) => normalizer(w), word);
+  }
+
+  /**
+   * Applies the normalizers and the stemmer to a single word, as would be done to a word of a
+   * text (for example, to compare stopwords with terms).
+   * 
+   * @param {string} word
+   * The word to normalize.
+   * @returns {string}
+   */
+  toTerm(word) {
+    const surface = this.normalize(word);
+    return this._stemmer && surface ? this._stemmer(surface) : surface;
+  }
+
+  /**
+   * Internal method that splits a text into words, as the first step of the pipeline.
+   * 
+   * @param {string} text
+   * The text to split.
+   * @returns {Word[]}
+   */
+  _split(text) {
+    if (typeof this._pattern === 'function') return this._pattern(text);
+    const { source, flags } = this._pattern;
+    const pattern = new RegExp(source, flags.includes('g') ? flags : flags + 'g');
+    /** @type {Word[]} */
+    const words = [];
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      if (match[0].length === 0) {
+        // Avoid matching the same empty string forever
+        pattern.lastIndex += 1;
+        continue;
+      }
+      words.push({ text: match[0], start: match.index });
+    }
+    return words;
+  }
+}
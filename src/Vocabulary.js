@@ -0,0 +1,199 @@
+/**
+ * A node of the trie, for one character of the terms that start with the characters leading to
+ * it.
+ * 
+ * @typedef TrieNode
+ * @prop {Map<string, TrieNode>} children
+ * The nodes for the characters that can follow, keyed by the character.
+ * @prop {boolean} isTerm
+ * Whether the characters leading to this node are a whole term.
+ */
+
+/**
+ * Compares two strings by their UTF-16 code units, as the default sort order does.
+ * 
+ * @param {string} a
+ * The first string.
+ * @param {string} b
+ * The second string.
+ * @returns {number}
+ */
+function compareStrings(a, b) {
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+/**
+ * A set of terms (usually those of a corpus, see {@link Corpus.getVocabulary}) stored in a trie,
+ * so that the terms starting with a prefix, and the terms within a few edits of a misspelled
+ * word, can be found without comparing the word with every term.  Characters are compared by
+ * code point, so a character outside the Basic Multilingual Plane counts as one edit.
+ */
+export default class Vocabulary {
+
+  /**
+   * @param {Iterable<string>} [terms]
+   * The terms of the vocabulary.
+   */
+  constructor(terms) {
+    /** @type {TrieNode} */
+    this._root = { children: new Map(), isTerm: false };
+    this._size = 0;
+    for (const term of terms || []) this.add(term);
+  }
+
+  /**
+   * Returns the Levenshtein distance between two words: the smallest number of characters to
+   * insert, delete or substitute to turn one into the other.
+   * 
+   * @param {string} word1
+   * The first word.
+   * @param {string} word2
+   * The second word.
+   * @returns {number}
+   */
+  static getDistance(word1, word2) {
+    const [chars1, chars2] = [Array.from(word1), Array.from(word2)];
+    let row = Array.from({ length: chars2.length + 1 }, (_, i) => i);
+    for (const char of chars1) {
+      row = Vocabulary._nextRow(row, char, chars2);
+    }
+    return row[chars2.length];
+  }
+
+  /**
+   * Internal method that calculates the next row of the Levenshtein distance table, after one
+   * more character of the first word.
+   * 
+   * @param {number[]} previous
+   * The distances from the first word so far to each prefix of the second word.
+   * @param {string} char
+   * The next character of the first word.
+   * @param {string[]} chars
+   * The characters of the second word.
+   * @returns {number[]}
+   */
+  static _nextRow(previous, char, chars) {
+    const row = [previous[0] + 1];
+    for (let i = 1; i <= chars.length; i++) {
+      const cost = chars[i - 1] === char ? 0 : 1;
+      row.push(Math.min(row[i - 1] + 1, previous[i] + 1, previous[i - 1] + cost));
+    }
+    return row;
+  }
+
+  /**
+   * Adds a term to the vocabulary.
+   * 
+   * @param {string} term
+   * The term to add.
+   */
+  add(term) {
+    let node = this._root;
+    for (const char of term) {
+      if (!node.children.has(char)) {
+        node.children.set(char, { children: new Map(), isTerm: false });
+      }
+      node = node.children.get(char);
+    }
+    if (!node.isTerm) this._size += 1;
+    node.isTerm = true;
+  }
+
+  /**
+   * Returns whether the given term is in the vocabulary.
+   * 
+   * @param {string} term
+   * The term to look for.
+   * @returns {boolean}
+   */
+  has(term) {
+    const node = this._find(term);
+    return Boolean(node && node.isTerm);
+  }
+
+  /**
+   * Returns the number of terms in the vocabulary.
+   * 
+   * @returns {number}
+   */
+  getSize() {
+    return this._size;
+  }
+
+  /**
+   * Returns the terms of the vocabulary that start with the given prefix (including the prefix
+   * itself, when it is a term), sorted alphabetically.
+   * 
+   * @param {string} prefix
+   * The start of the terms.
+   * @returns {string[]}
+   */
+  getCompletions(prefix) {
+    const node = this._find(prefix);
+    /** @type {string[]} */
+    const terms = [];
+    /**
+     * @param {TrieNode} current
+     * @param {string} text
+     */
+    const collect = (current, text) => {
+      if (current.isTerm) terms.push(text);
+      current.children.forEach((child, char) => collect(child, text + char));
+    };
+    if (node) collect(node, prefix);
+    return terms.sort(compareStrings);
+  }
+
+  /**
+   * Returns the terms of the vocabulary within `maxDistance` edits of the given word (see
+   * {@link Vocabulary.getDistance}), as pairs of a term and its distance, sorted in ascending
+   * order by the distance and then alphabetically.  Branches of the trie are skipped as soon as
+   * no term in them can be close enough.
+   * 
+   * @param {string} word
+   * The word to match, such as a misspelled term.
+   * @param {number} maxDistance
+   * The largest number of edits.
+   * @returns {Array<[string, number]>}
+   */
+  getFuzzyMatches(word, maxDistance) {
+    const chars = Array.from(word);
+    /** @type {Array<[string, number]>} */
+    const matches = [];
+    /**
+     * @param {TrieNode} node
+     * @param {string} text
+     * @param {number[]} row
+     */
+    const search = (node, text, row) => {
+      if (node.isTerm && row[chars.length] <= maxDistance) {
+        matches.push([text, row[chars.length]]);
+      }
+      // The distance can only grow from the smallest value in the row
+      if (Math.min(...row) > maxDistance) return;
+      node.children.forEach((child, char) => {
+        search(child, text + char, Vocabulary._nextRow(row, char, chars));
+      });
+    };
+    search(this._root, '', Array.from({ length: chars.length + 1 }, (_, i) => i));
+    return matches.sort((a, b) => a[1] - b[1] || compareStrings(a[0], b[0]));
+  }
+
+  /**
+   * Internal method that returns the node reached by the characters of the given text, or
+   * `undefined` if no term starts with it.
+   * 
+   * @param {string} text
+   * The characters to follow from the root.
+   * @returns {TrieNode | undefined}
+   */
+  _find(text) {
+    let node = this._root;
+    for (const char of text) {
+      node = node.children.get(char);
+      if (!node) return undefined;
+    }
+    return node;
+  }
+}
@@ -0,0 +1,184 @@
+/**
+ * What a {@link TermWeighting} can base the weight of a term in a document on.
+ * 
+ * @typedef TermWeightParams
+ * @prop {number} tf
+ * How often the term appears in the document (always above zero).
+ * @prop {number} idf
+ * The collection frequency weight (inverse document frequency) of the term.
+ * @prop {number} ndl
+ * The normalized length of the document (its length divided by the average length).
+ * @prop {number} K1
+ * The `K1` option of the corpus.
+ * @prop {number} b
+ * The `b` option of the corpus.
+ * @prop {number | null} delta
+ * The `delta` option of the corpus, or `null` to use the default of the weighting.
+ */
+
+/**
+ * A function that returns the combined weight of a term in a document.
+ * 
+ * @typedef {(params: TermWeightParams) => number} TermWeighting
+ */
+
+/**
+ * What an {@link IdfWeighting} can base the collection frequency weight of a term on.
+ * 
+ * @typedef IdfParams
+ * @prop {number} n
+ * The number of documents that contain the term (always above zero).
+ * @prop {number} N
+ * The number of documents in the collection.
+ */
+
+/**
+ * A function that returns the collection frequency weight (inverse document frequency) of a
+ * term.
+ * 
+ * @typedef {(params: IdfParams) => number} IdfWeighting
+ */
+
+/**
+ * The weighting schemes that a {@link Corpus} can use, chosen with its `weighting` and `idf`
+ * options.  Each scheme is a function that can also be passed directly, as can any other
+ * function of the same form.
+ */
+export default class Weighting {
+
+  /**
+   * Converts the given name of a term weighting into its function, returning functions as they
+   * are.
+   * 
+   * @param {string | TermWeighting} weighting
+   * One of `'bm25'`, `'bm25+'`, `'bm25l'`, `'tfidf'` and `'log-tfidf'`, or a function.
+   * @returns {TermWeighting}
+   */
+  static getTermWeighting(weighting) {
+    if (typeof weighting === 'function') return weighting;
+    const weightings = {
+      'bm25': Weighting.bm25,
+      'bm25+': Weighting.bm25Plus,
+      'bm25l': Weighting.bm25L,
+      'tfidf': Weighting.tfidf,
+      'log-tfidf': Weighting.logTfidf
+    };
+    if (!Object.prototype.hasOwnProperty.call(weightings, weighting)) {
+      throw new Error(`unknown weighting \`${weighting}\``);
+    }
+    return weightings[weighting];
+  }
+
+  /**
+   * Converts the given name of an IDF weighting into its function, returning functions as they
+   * are.
+   * 
+   * @param {string | IdfWeighting} idf
+   * One of `'bm25'`, `'classic'` and `'probabilistic'`, or a function.
+   * @returns {IdfWeighting}
+   */
+  static getIdfWeighting(idf) {
+    if (typeof idf === 'function') return idf;
+    const idfs = {
+      'bm25': Weighting.bm25Idf,
+      'classic': Weighting.classicIdf,
+      'probabilistic': Weighting.probabilisticIdf
+    };
+    if (!Object.prototype.hasOwnProperty.call(idfs, idf)) {
+      throw new Error(`unknown IDF weighting \`${idf}\``);
+    }
+    return idfs[idf];
+  }
+
+  /**
+   * BM25, from the Robertson/Spärck Jones technical report: the term frequency saturates as it
+   * grows (more slowly for higher `K1`), and is normalized by the document length (more strongly
+   * for higher `b`).
+   * 
+   * @param {TermWeightParams} params
+   * @returns {number}
+   */
+  static bm25({ tf, idf, ndl, K1, b }) {
+    return (idf * tf * (K1 + 1)) / (K1 * (1 - b + b * ndl) + tf);
+  }
+
+  /**
+   * BM25+, which adds `delta` (defaulting to `1`) to the saturated term frequency of BM25, so
+   * that terms in very long documents are not weighted as if they were absent.
+   * 
+   * @param {TermWeightParams} params
+   * @returns {number}
+   */
+  static bm25Plus({ tf, idf, ndl, K1, b, delta }) {
+    const d = typeof delta === 'number' ? delta : 1;
+    return idf * ((tf * (K1 + 1)) / (K1 * (1 - b + b * ndl) + tf) + d);
+  }
+
+  /**
+   * BM25L, which normalizes the term frequency by the document length before saturating it, and
+   * shifts it by `delta` (defaulting to `0.5`), so that long documents are penalized less.
+   * 
+   * @param {TermWeightParams} params
+   * @returns {number}
+   */
+  static bm25L({ tf, idf, ndl, K1, b, delta }) {
+    const d = typeof delta === 'number' ? delta : 0.5;
+    const ctf = tf / (1 - b + b * ndl);
+    return (idf * (K1 + 1) * (ctf + d)) / (K1 + ctf + d);
+  }
+
+  /**
+   * The classic TF-IDF weight: the raw term frequency times the IDF, ignoring the document length.
+   * 
+   * @param {TermWeightParams} params
+   * @returns {number}
+   */
+  static tfidf({ tf, idf }) {
+    return tf * idf;
+  }
+
+  /**
+   * TF-IDF with a logarithmic term frequency (`1 + log(tf)`), so that repeating a term adds less
+   * and less to its weight.
+   * 
+   * @param {TermWeightParams} params
+   * @returns {number}
+   */
+  static logTfidf({ tf, idf }) {
+    return (1 + Math.log(tf)) * idf;
+  }
+
+  /**
+   * The IDF from the Robertson/Spärck Jones technical report, `log((N + 1) / n)`.  Compared to the
+   * formula in the report, 1 is added to N so that terms which appear in every document get a very
+   * small weight instead of zero (so they can still be retrieved by queries and appear in
+   * similarity calculations).
+   * 
+   * @param {IdfParams} params
+   * @returns {number}
+   */
+  static bm25Idf({ n, N }) {
+    return Math.log(N + 1) - Math.log(n);
+  }
+
+  /**
+   * The classic IDF, `log(N / n)`, which is zero for terms that appear in every document.
+   * 
+   * @param {IdfParams} params
+   * @returns {number}
+   */
+  static classicIdf({ n, N }) {
+    return Math.log(N) - Math.log(n);
+  }
+
+  /**
+   * The probabilistic IDF used by Lucene's BM25, `log(1 + (N - n + 0.5) / (n + 0.5))`, which
+   * weights rare terms more heavily than common ones and is always positive.
+   * 
+   * @param {IdfParams} params
+   * @returns {number}
+   */
+  static probabilisticIdf({ n, N }) {
+    return Math.log(1 + (N - n + 0.5) / (n + 0.5));
+  }
+}
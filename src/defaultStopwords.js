@@ -2,22 +2,7 @@ import Stopwords from "./Stopwords";
 
 /**
  * English stopwords, assuming that 1-letter tokens are already filtered out. Based on the list
- * from NLTK, found via https://gist.github.com/sebleier/554280
+ * from NLTK, found via https://gist.github.com/sebleier/554280; the same as
+ * `Stopwords.forLanguage('en')`.
  */
-const defaultStopwords = [
-  'me', 'my', 'myself', 'we', 'our', 'ours', 'ourselves', 'you', 'your', 'yours', 'yourself',
-  'yourselves', 'he', 'him', 'his', 'himself', 'she', 'her', 'hers', 'herself', 'it', 'its',
-  'itself', 'they', 'them', 'their', 'theirs', 'themselves', 'what', 'which', 'who', 'whom',
-  'this', 'that', 'these', 'those', 'am', 'is', 'are', 'was', 'were', 'be', 'been', 'being',
-  'have', 'has', 'had', 'having', 'do', 'does', 'did', 'doing', 'an', 'the', 'and', 'but',
-  'if', 'or', 'because', 'as', 'until', 'while', 'of', 'at', 'by', 'for', 'with', 'about',
-  'against', 'between', 'into', 'through', 'during', 'before', 'after', 'above', 'below',
-  'to', 'from', 'up', 'down', 'in', 'out', 'on', 'off', 'over', 'under', 'again', 'further',
-  'then', 'once', 'here', 'there', 'when', 'where', 'why', 'how', 'all', 'any', 'both', 'each',
-  'few', 'more', 'most', 'other', 'some', 'such', 'no', 'nor', 'not', 'only', 'own', 'same', 'so',
-  'than', 'too', 'very', 'can', 'will', 'just', 'don', 'could', 'should', 'would', 'now', 'll',
-  're', 've', 'aren', 'couldn', 'didn', 'doesn', 'hadn', 'hasn', 'haven', 'isn', 'mustn', 'needn',
-  'shouldn', 'wasn', 'weren', 'won', 'wouldn'
-];
-
-export default new Stopwords(defaultStopwords);
\ No newline at end of file
+export default Stopwords.forLanguage('en');
\ No newline at end of file
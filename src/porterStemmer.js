@@ -0,0 +1,181 @@
+/**
+ * An implementation of the Porter stemming algorithm for English, as described in:
+ * https://tartarus.org/martin/PorterStemmer/def.txt
+ * 
+ * It reduces words to a common stem by removing suffixes (for example, "concepts" and "concept"
+ * both become "concept", and "studies" and "studying" become "studi").  Stems are not always
+ * words themselves, which is why {@link Corpus.getSurfaceForm} exists.  Words containing
+ * anything other than the letters `a` to `z`, and words of fewer than 3 letters, are returned
+ * unchanged.
+ */
+
+// Rules for steps 2 to 4, as pairs of a suffix and its replacement.  Only the rule with the
+// longest matching suffix is considered, so suffixes that end another suffix come after it.
+const step2Rules = [
+  ['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'], ['izer', 'ize'],
+  ['bli', 'ble'], ['alli', 'al'], ['entli', 'ent'], ['eli', 'e'], ['ousli', 'ous'],
+  ['ization', 'ize'], ['ation', 'ate'], ['ator', 'ate'], ['alism', 'al'], ['iveness', 'ive'],
+  ['fulness', 'ful'], ['ousness', 'ous'], ['aliti', 'al'], ['iviti', 'ive'], ['biliti', 'ble'],
+  ['logi', 'log']
+];
+const step3Rules = [
+  ['icate', 'ic'], ['ative', ''], ['alize', 'al'], ['iciti', 'ic'], ['ical', 'ic'], ['ful', ''],
+  ['ness', '']
+];
+const step4Suffixes = [
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment', 'ent', 'ion', 'ou',
+  'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+];
+
+/**
+ * Returns whether the letter at `index` is a consonant: a letter other than a vowel, where `y`
+ * only counts as one at the start of the word or after a vowel.
+ * 
+ * @param {string} word
+ * @param {number} index
+ * @returns {boolean}
+ */
+function isConsonant(word, index) {
+  const letter = word[index];
+  if ('aeiou'.includes(letter)) return false;
+  if (letter === 'y') return index === 0 || !isConsonant(word, index - 1);
+  return true;
+}
+
+/**
+ * Returns the measure of a stem: the number of times a sequence of vowels is followed by a
+ * sequence of consonants.
+ * 
+ * @param {string} stem
+ * @returns {number}
+ */
+function measure(stem) {
+  let m = 0;
+  let previousWasVowel = false;
+  for (let i = 0; i < stem.length; i++) {
+    const consonant = isConsonant(stem, i);
+    if (consonant && previousWasVowel) m += 1;
+    previousWasVowel = !consonant;
+  }
+  return m;
+}
+
+/**
+ * Returns whether the stem contains a vowel.
+ * 
+ * @param {string} stem
+ * @returns {boolean}
+ */
+function hasVowel(stem) {
+  for (let i = 0; i < stem.length; i++) {
+    if (!isConsonant(stem, i)) return true;
+  }
+  return false;
+}
+
+/**
+ * Returns whether the stem ends with a double consonant.
+ * 
+ * @param {string} stem
+ * @returns {boolean}
+ */
+function endsWithDoubleConsonant(stem) {
+  const last = stem.length - 1;
+  return last > 0 && stem[last] === stem[last - 1] && isConsonant(stem, last);
+}
+
+/**
+ * Returns whether the stem ends consonant-vowel-consonant, where the last consonant is not
+ * `w`, `x` or `y` (as in "hop", but not "snow").
+ * 
+ * @param {string} stem
+ * @returns {boolean}
+ */
+function endsWithCvc(stem) {
+  const last = stem.length - 1;
+  return last >= 2
+    && isConsonant(stem, last - 2)
+    && !isConsonant(stem, last - 1)
+    && isConsonant(stem, last)
+    && !'wxy'.includes(stem[last]);
+}
+
+/**
+ * Applies the rule with the longest suffix matching the word, if the measure of the remaining
+ * stem is above `minMeasure`.
+ * 
+ * @param {string} word
+ * @param {string[][]} rules
+ * @param {number} minMeasure
+ * @returns {string}
+ */
+function replaceSuffix(word, rules, minMeasure) {
+  for (const [suffix, replacement] of rules) {
+    if (!word.endsWith(suffix)) continue;
+    const stem = word.slice(0, -suffix.length);
+    return measure(stem) > minMeasure ? stem + replacement : word;
+  }
+  return word;
+}
+
+/**
+ * Returns the stem of the given (lowercase) English word.
+ * 
+ * @param {string} word
+ * The word to stem.
+ * @returns {string}
+ */
+export default function porterStemmer(word) {
+  if (word.length < 3 || !/^[a-z]+$/.test(word)) return word;
+
+  // Step 1a: plurals
+  if (word.endsWith('sses') || word.endsWith('ies')) {
+    word = word.slice(0, -2);
+  } else if (word.endsWith('s') && !word.endsWith('ss')) {
+    word = word.slice(0, -1);
+  }
+
+  // Step 1b: past tenses and gerunds
+  if (word.endsWith('eed')) {
+    if (measure(word.slice(0, -3)) > 0) word = word.slice(0, -1);
+  } else {
+    const suffix = ['ed', 'ing'].find(s => word.endsWith(s) && hasVowel(word.slice(0, -s.length)));
+    if (suffix) {
+      word = word.slice(0, -suffix.length);
+      if (word.endsWith('at') || word.endsWith('bl') || word.endsWith('iz')) {
+        word += 'e';
+      } else if (endsWithDoubleConsonant(word) && !'lsz'.includes(word[word.length - 1])) {
+        word = word.slice(0, -1);
+      } else if (measure(word) === 1 && endsWithCvc(word)) {
+        word += 'e';
+      }
+    }
+  }
+
+  // Step 1c: a final `y`, when the rest of the word contains a vowel
+  if (word.endsWith('y') && hasVowel(word.slice(0, -1))) {
+    word = word.slice(0, -1) + 'i';
+  }
+
+  // Steps 2 and 3: double and single suffixes
+  word = replaceSuffix(word, step2Rules, 0);
+  word = replaceSuffix(word, step3Rules, 0);
+
+  // Step 4: remaining suffixes, where `ion` must follow `s` or `t`
+  const suffix = step4Suffixes.find(s => word.endsWith(s));
+  if (suffix) {
+    const stem = word.slice(0, -suffix.length);
+    if (measure(stem) > 1 && (suffix !== 'ion' || /[st]$/.test(stem))) word = stem;
+  }
+
+  // Step 5: a final `e`, and a final double `l`
+  if (word.endsWith('e')) {
+    const stem = word.slice(0, -1);
+    const m = measure(stem);
+    if (m > 1 || (m === 1 && !endsWithCvc(stem))) word = stem;
+  }
+  if (measure(word) > 1 && endsWithDoubleConsonant(word) && word.endsWith('l')) {
+    word = word.slice(0, -1);
+  }
+  return word;
+}
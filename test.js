@@ -1,4 +1,8 @@
-import { Corpus, Document, TextDocument, Similarity, Stopwords, defaultStopwords } from './index.js';
+import {
+  Corpus, Document, TextDocument, NgramDocument, FieldedDocument, Similarity, Clustering,
+  NearDuplicates, Highlighter, Vocabulary, Stopwords, QueryParser, Tokenizer, LanguageDetector,
+  Weighting, defaultStopwords, porterStemmer
+} from './index.js';
 import tape from 'tape';
 
 const docsByKvp = new Map([
@@ -81,8 +85,394 @@ tape('Unit tests for Corpus class', function (t) {
   t.equal(corpus.getResultsForQuery(2).length, 0);
 });
 
-tape('Unit tests for TextDocument class', function (t) {
+tape('Unit tests for Corpus query options', function (t) {
+  t.plan(8);
+
+  const corpus = Corpus.fromKvps(docsByKvp, commonOptions);
+  const query = 'a bit of a test query';
+  const all = corpus.getResultsForQuery(query);
+  t.equal(all.total, 3);
+
+  // top-k and pagination, reporting the total number of hits
+  const firstPage = corpus.getResultsForQuery(query, { limit: 2 });
+  t.deepEqual(Array.from(firstPage), all.slice(0, 2));
+  t.equal(firstPage.total, 3);
+  const secondPage = corpus.getResultsForQuery(query, { limit: 2, offset: 2 });
+  t.deepEqual(Array.from(secondPage), all.slice(2));
+  t.equal(secondPage.total, 3);
+  t.equal(corpus.getResultsForQuery(query, { offset: 1 }).length, 2);
+
+  // a score threshold
+  const thresholded = corpus.getResultsForQuery(query, { minScore: all[1][1] });
+  t.deepEqual(Array.from(thresholded), all.slice(0, 2));
+  t.equal(thresholded.total, 2);
+});
+
+tape('Unit tests for Corpus inverted index', function (t) {
+  t.plan(6);
+
+  const corpus = Corpus.fromKvps(docsByKvp, commonOptions);
+
+  // vectors only hold the terms that appear in the document
+  const vector = corpus.getDocumentVector('document1');
+  t.notOk(vector.has('bit'));
+  t.ok(vector.has('short'));
+
+  // postings list each document that contains the term, with its weight there
+  const postings = corpus.getPostings('short');
+  t.deepEqual(Array.from(postings.keys()), ['document1', 'document2']);
+  t.equal(postings.get('document1'), vector.get('short'));
+  t.equal(corpus.getPostings('and'), undefined); // stopword
+
+  // the postings follow changes to the collection
+  corpus.updateDocument('document3', 'Test document number three is a short one.');
+  t.deepEqual(Array.from(corpus.getPostings('short').keys()).sort(), ['document1', 'document2', 'document3']);
+});
+
+tape('Unit tests for Corpus document management', function (t) {
+  t.plan(13);
+
+  const extraText = 'Another short test, added later.';
+  const rebuilt = (kvps) => Corpus.fromKvps(kvps, commonOptions);
+  const vectorOf = (corpus, id) => Array.from(corpus.getDocumentVector(id).entries()).sort();
+
+  // adding a document after everything has been calculated
+  const corpus = Corpus.fromKvps(docsByKvp, commonOptions);
+  corpus.getDocumentVector('document1');
+  corpus.addDocument('document4', extraText);
+  const withExtra = rebuilt([...docsByKvp, ['document4', extraText]]);
+  t.equal(corpus.getDocumentIdentifiers().length, 4);
+  t.equal(corpus.getCollectionFrequency('test'), 4);
+  t.equal(corpus.getCollectionFrequency('later'), 1);
+  t.deepEqual(vectorOf(corpus, 'document1'), vectorOf(withExtra, 'document1'));
+  t.throws(() => corpus.addDocument('document4', extraText));
+
+  // removing it again
+  t.ok(corpus.removeDocument('document4'));
+  t.notOk(corpus.removeDocument('document4'));
+  t.equal(corpus.getCollectionFrequency('later'), 0);
+  t.deepEqual(vectorOf(corpus, 'document3'), vectorOf(rebuilt(docsByKvp), 'document3'));
+
+  // updating a document with one of the same length only patches what changed
+  const updatedText = 'This is test document number 1. It is quite a long document.';
+  const updated = new Map([...docsByKvp, ['document1', updatedText]]);
+  corpus.updateDocument('document1', updatedText);
+  t.deepEqual(vectorOf(corpus, 'document1'), vectorOf(rebuilt(updated), 'document1'));
+  t.deepEqual(vectorOf(corpus, 'document2'), vectorOf(rebuilt(updated), 'document2'));
+  t.throws(() => corpus.updateDocument('document5', updatedText));
+
+  // an attached distance matrix is recalculated
+  const similarity = new Similarity(corpus);
+  similarity.getDistanceMatrix();
+  corpus.addDocument('document4', extraText);
+  t.equal(similarity.getDistanceMatrix().identifiers.length, 4);
+});
+
+tape('Unit tests for Corpus snapshots', function (t) {
+  t.plan(13);
+
+  const corpus = Corpus.fromKvps(docsByKvp, commonOptions);
+  const query = 'a bit of a test query';
+
+  // a full round trip through a JSON string
+  const restored = Corpus.fromJSON(JSON.stringify(corpus));
+  t.deepEqual(restored.getDocumentIdentifiers(), corpus.getDocumentIdentifiers());
+  t.ok(restored.getDocument('document1') instanceof TextDocument);
+  t.equal(restored.getDocument('document1').getText(), docsByKvp.get('document1'));
+  t.ok(restored.getStopwords().includes('and'));
+  t.deepEqual(restored.getTopTermsForDocument('document3'), corpus.getTopTermsForDocument('document3'));
+  t.deepEqual(restored.getResultsForQuery(query), corpus.getResultsForQuery(query));
+
+  // a small snapshot, without text but with the weights
+  const snapshot = corpus.toJSON({ includeText: false, includeWeights: true });
+  t.notOk('text' in snapshot.documents[0][1]);
+  const small = Corpus.fromJSON(snapshot);
+  t.deepEqual(small.getTopTermsForDocument('document3'), corpus.getTopTermsForDocument('document3'));
+  t.deepEqual(small.getResultsForQuery(query), corpus.getResultsForQuery(query));
+
+  // snapshots of other versions are rejected
+  t.throws(() => Corpus.fromJSON({ ...snapshot, version: 0 }));
+
+  // the stemmer and tokenizer can not be saved, so they must be given again
+  const stemmed = Corpus.fromKvps(docsByKvp, { ...commonOptions, stemmer: porterStemmer });
+  t.throws(() => Corpus.fromJSON(JSON.stringify(stemmed)), /stemmer/);
+  const withStemmer = Corpus.fromJSON(JSON.stringify(stemmed), { stemmer: porterStemmer });
+  t.deepEqual(withStemmer.getResultsForQuery('tests'), stemmed.getResultsForQuery('tests'));
+  const tokenized = Corpus.fromKvps(docsByKvp, { tokenizer: { filters: [] } });
+  t.throws(() => Corpus.fromJSON(JSON.stringify(tokenized)), /tokenizer/);
+});
+
+tape('Unit tests for Corpus weighting schemes', function (t) {
+  t.plan(10);
+  const withOptions = (options) => Corpus.fromKvps(docsByKvp, { ...commonOptions, ...options });
+  const weightOf = (corpus, term) => corpus.getDocumentVector('document3').get(term);
+
+  // BM25 is the default
+  const bm25 = withOptions({});
+  const explicit = withOptions({ weighting: 'bm25', idf: 'bm25' });
+  t.equal(weightOf(explicit, 'bit'), weightOf(bm25, 'bit'));
+
+  // classic TF-IDF schemes: 'bit' appears twice in document 3 and in no other document
+  t.equal(weightOf(withOptions({ weighting: 'tfidf' }), 'bit'), 2 * Math.log(4));
+  const logTfidf = withOptions({ weighting: 'log-tfidf' });
+  t.equal(weightOf(logTfidf, 'bit'), (1 + Math.log(2)) * Math.log(4));
+  t.equal(withOptions({ idf: 'classic' }).getCollectionFrequencyWeight('test'), 0);
+
+  // BM25+ adds `delta` times the IDF to the BM25 weight
+  const plus = withOptions({ weighting: 'bm25+', delta: 0.5 });
+  t.ok(Math.abs(weightOf(plus, 'bit') - weightOf(bm25, 'bit') - 0.5 * Math.log(4)) < 1e-9);
+  t.ok(weightOf(withOptions({ weighting: 'bm25l' }), 'bit') > 0);
+
+  // custom functions are used everywhere, including by queries
+  const custom = withOptions({ weighting: ({ tf }) => tf, idf: ({ n, N }) => N / n });
+  t.equal(weightOf(custom, 'bit'), 2);
+  t.deepEqual(Array.from(custom.getResultsForQuery('bit')), [['document3', 2]]);
+  t.throws(() => withOptions({ weighting: 'unknown' }));
+
+  // named schemes are kept in snapshots
+  const tfidf = withOptions({ weighting: 'tfidf', idf: 'classic' });
+  const restored = Corpus.fromJSON(JSON.stringify(tfidf));
+  t.equal(weightOf(restored, 'bit'), Weighting.tfidf({ tf: 2, idf: Math.log(3) }));
+});
+
+tape('Unit tests for Corpus query language', function (t) {
+  t.plan(8);
+
+  const corpus = Corpus.fromKvps(docsByKvp, commonOptions);
+  const identifiersFor = (query) => corpus.getResultsForQuery(query).map(d => d[0]).sort();
+
+  // required and excluded terms
+  t.deepEqual(identifiersFor('+short test'), ['document1', 'document2']);
+  t.deepEqual(identifiersFor('test -bit'), ['document1', 'document2']);
+  t.deepEqual(identifiersFor('-bit'), []);
+  // `OR` and grouping
+  t.deepEqual(identifiersFor('+(tiny OR quite) -also'), ['document1']);
+  t.deepEqual(identifiersFor('+number +(short OR longer)'), ['document1', 'document3']);
+  // phrases require all of their terms
+  t.deepEqual(identifiersFor('"quite short"'), ['document1', 'document2']);
+  // repeated words count once, and stopwords alone match nothing
+  t.deepEqual(corpus.getResultsForQuery('bit bit'), corpus.getResultsForQuery('bit'));
+  t.deepEqual(identifiersFor('+the'), []);
+});
+
+tape('Unit tests for QueryParser class', function (t) {
+  t.plan(9);
+
+  const term = (text, occur = 'should') => ({ occur, node: { type: 'term', text } });
+  t.deepEqual(QueryParser.parse('+tfidf -cosine bm25').clauses, [
+    term('tfidf', 'must'), term('cosine', 'mustNot'), term('bm25')
+  ]);
+  t.deepEqual(QueryParser.parse('+tfidf OR +bm25').clauses, [
+    { occur: 'must', node: { type: 'boolean', clauses: [term('tfidf'), term('bm25')] } }
+  ]);
+  t.deepEqual(QueryParser.parse('-(a "proof of concept")').clauses, [
+    {
+      occur: 'mustNot',
+      node: {
+        type: 'boolean',
+        clauses: [term('a'), { occur: 'should', node: { type: 'phrase', text: 'proof of concept' } }]
+      }
+    }
+  ]);
+  // unbalanced input is closed at the end rather than rejected
+  t.deepEqual(QueryParser.parse('(a "b c').clauses, [
+    {
+      occur: 'should',
+      node: {
+        type: 'boolean',
+        clauses: [term('a'), { occur: 'should', node: { type: 'phrase', text: 'b c' } }]
+      }
+    }
+  ]);
+  // a stray closing parenthesis is skipped rather than ending the query
+  t.deepEqual(QueryParser.parse('a) (b)) c').clauses, [
+    term('a'), { occur: 'should', node: { type: 'boolean', clauses: [term('b')] } }, term('c')
+  ]);
+  // boosts
+  t.deepEqual(QueryParser.parse('tfidf^2 "b c"^1.5').clauses, [
+    { occur: 'should', node: { type: 'term', text: 'tfidf', boost: 2 } },
+    { occur: 'should', node: { type: 'phrase', text: 'b c', boost: 1.5 } }
+  ]);
+  t.deepEqual(QueryParser.parse('+(a b)^0.5').clauses, [
+    { occur: 'must', node: { type: 'boolean', clauses: [term('a'), term('b')], boost: 0.5 } }
+  ]);
+  // fields
+  t.deepEqual(QueryParser.parse('title:tfidf body:"b c"^2').clauses, [
+    { occur: 'should', node: { type: 'term', text: 'tfidf', field: 'title' } },
+    { occur: 'should', node: { type: 'phrase', text: 'b c', field: 'body', boost: 2 } }
+  ]);
+  // prefix and fuzzy words
+  t.deepEqual(QueryParser.parse('concep*^2 +cosne~1 bm~').clauses, [
+    { occur: 'should', node: { type: 'term', text: 'concep', prefix: true, boost: 2 } },
+    { occur: 'must', node: { type: 'term', text: 'cosne', fuzzy: 1 } },
+    { occur: 'should', node: { type: 'term', text: 'bm', fuzzy: 2 } }
+  ]);
+});
+
+tape('Unit tests for Corpus query scoring', function (t) {
+  t.plan(8);
+
+  const corpus = Corpus.fromKvps(docsByKvp, commonOptions);
+  const scoreOf = (results, id) => new Map(results).get(id);
+  const short = scoreOf(corpus.getResultsForQuery('short'), 'document1');
+  const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+  // by default (k3 of 0), repeated words count once
+  t.equal(scoreOf(corpus.getResultsForQuery('short short'), 'document1'), short);
+  // with k3, they count more, but less than twice
+  const repeated = corpus.getResultsForQuery('short short', { k3: 1.2 });
+  t.ok(close(scoreOf(repeated, 'document1'), short * 2 * 2.2 / 3.2));
+
+  // boosts multiply the score of a clause
+  t.ok(close(scoreOf(corpus.getResultsForQuery('short^2'), 'document1'), 2 * short));
+  const boosted = corpus.getResultsForQuery('test^0.1 (bit tiny)^3');
+  t.equal(boosted[0][0], 'document3');
+  t.ok(close(scoreOf(corpus.getResultsForQuery('test^0'), 'document1') || 0, 0));
+
+  // normalized scores are between 0 and 1
+  const normalized = corpus.getResultsForQuery('bit', { normalize: true });
+  t.deepEqual(Array.from(normalized), [['document3', 1]]);
+  const options = { normalize: true, proximity: {} };
+  const all = corpus.getResultsForQuery('test short number', options);
+  t.ok(all.every(d => d[1] > 0 && d[1] <= 1));
+  const phrase = corpus.getResultsForPhrase('tiny bit', { normalize: true });
+  t.ok(close(phrase[0][1], 1));
+});
+
+tape('Unit tests for Corpus query explanations', function (t) {
+  t.plan(12);
+  const corpus = Corpus.fromKvps(docsByKvp, commonOptions);
+  const query = 'the short test document xyzzy -three';
+  const explanation = corpus.explain(query, 'document1');
+  const [result] = corpus.getResultsForQuery(query);
+  t.deepEqual([explanation.identifier, explanation.score], result);
+  t.ok(explanation.matched);
+
+  // dropped and excluded terms
+  t.deepEqual(explanation.stopwords, ['the']);
+  t.deepEqual(explanation.outOfVocabulary, ['xyzzy']);
+  t.deepEqual(explanation.excluded, ['three']);
+
+  // the weight of each term
+  const [short, , document] = explanation.terms;
+  t.deepEqual(explanation.terms.map(d => d.term), ['short', 'test', 'document']);
+  t.deepEqual([short.tf, document.tf], [1, 2]);
+  t.equal(document.weight, corpus.getDocumentVector('document1').get('document'));
+  t.equal((document.idf * document.saturation).toFixed(10), document.weight.toFixed(10));
+
+  // documents that do not match, and missing documents
+  const unmatched = corpus.explain('+short', 'document3');
+  t.deepEqual([unmatched.matched, unmatched.score], [false, 0]);
+  t.ok(explanation.terms.every(d => d.counted) && unmatched.terms.every(d => !d.counted));
+  t.throws(() => corpus.explain(query, 'document4'));
+});
+
+tape('Unit tests for Corpus prefix and fuzzy queries', function (t) {
+  t.plan(9);
+
+  const corpus = Corpus.fromKvps(new Map([
+    ['concept', 'A proof of concept for a search engine.'],
+    ['conceptual', 'Conceptual search engines and the concepts behind them.'],
+    ['cosine', 'The cosine similarity of two vectors.']
+  ]), commonOptions);
+  t.deepEqual(corpus.getResultsForQuery('concep').map(d => d[0]), []);
+  const expanded = corpus.getResultsForQuery('concep*').map(d => d[0]);
+  t.deepEqual(expanded.sort(), ['concept', 'conceptual']);
+  // expanded terms weigh less the further they are from the word
+  const [exact] = corpus.getResultsForQuery('cosine');
+  const [fuzzy] = corpus.getResultsForQuery('cosne~1');
+  t.deepEqual(
+    [fuzzy[0], fuzzy[1]], ['cosine', exact[1] * (1 - 1 / 6)], 'fuzzy matches are penalized'
+  );
+  t.deepEqual(corpus.getResultsForQuery('cosne~0'), Object.assign([], { total: 0 }));
+  t.deepEqual(
+    corpus.getResultsForQuery('concep*', { maxExpansions: 1 }).map(d => d[0]), ['concept']
+  );
+  t.deepEqual(corpus.getQueryTerms('concep* -vector~1'), ['concept', 'concepts', 'conceptual']);
+  const [score] = corpus.getResultsForQuery('cosne~1', { normalize: true }).map(d => d[1]);
+  t.equal(score, 1);
+
+  // suggestions
+  t.deepEqual(corpus.getSuggestions('conc', { limit: 2 }).map(s => s.term), [
+    'concept', 'concepts'
+  ]);
+  t.equal(corpus.didYouMean('+consept OR simlarity title:serch engin*'), (
+    '+concept OR similarity title:search engin*'
+  ));
+});
+
+tape('Unit tests for Corpus relevance feedback', function (t) {
+  t.plan(6);
+
+  const corpus = Corpus.fromKvps(new Map([
+    ['a', 'Cats are small felines that purr.'],
+    ['b', 'Felines such as cats and lions are predators.'],
+    ['c', 'Lions are large felines living in prides.'],
+    ['d', 'Dogs bark at the mail carrier.']
+  ]), commonOptions);
+  const ids = (results) => results.map(d => d[0]);
+  const terms = corpus.getFeedbackTerms('cats', ['a', 'b']);
+  t.deepEqual(terms.slice(0, 3).map(d => d[0]).sort(), ['predators', 'purr', 'small']);
+  t.ok(terms.every(([term, weight]) => term !== 'cats' && weight > 0), 'query terms are left out');
+  // non-relevant documents take weight away from their terms
+  const contrasted = corpus.getFeedbackTerms('cats', ['a', 'b'], ['c'], { gamma: 1 });
+  t.notOk(contrasted.some(d => d[0] === 'lions'));
+
+  // pseudo-relevance feedback finds documents without the words of the query
+  t.deepEqual(ids(corpus.getResultsForQuery('cats')), ['a', 'b']);
+  t.deepEqual(ids(corpus.getResultsForQuery('cats', { feedback: { documents: 2 } })), [
+    'a', 'b', 'c'
+  ]);
+  // required clauses still restrict the results
+  const feedback = { relevant: ['b'], nonRelevant: ['a'] };
+  t.deepEqual(ids(corpus.getResultsForQuery('+cats', { feedback })), ['b', 'a']);
+});
+
+tape('Unit tests for Vocabulary class', function (t) {
   t.plan(6);
+
+  const vocabulary = new Vocabulary(['concept', 'concepts', 'conceptual', 'cosine', 'concept']);
+  t.equal(vocabulary.getSize(), 4);
+  t.ok(vocabulary.has('cosine') && !vocabulary.has('cos'));
+  t.deepEqual(vocabulary.getCompletions('concept'), ['concept', 'concepts', 'conceptual']);
+  t.deepEqual(vocabulary.getCompletions('x'), []);
+  t.deepEqual(vocabulary.getFuzzyMatches('consept', 2), [['concept', 1], ['concepts', 2]]);
+  t.equal(Vocabulary.getDistance('kitten', 'sitting'), 3);
+});
+
+tape('Unit tests for Corpus phrases and proximity', function (t) {
+  t.plan(9);
+
+  const corpus = Corpus.fromKvps([
+    ['proof', 'We built a proof of concept for the new search engine.'],
+    ['concept', 'The concept needs proof before the search engine is built.'],
+    ['spread', 'Search tools matter; but a good engine is hard to build.']
+  ], commonOptions);
+  const identifiersOf = (results) => results.map(d => d[0]).sort();
+
+  // words must appear together and in order, including stopwords
+  t.deepEqual(identifiersOf(corpus.getResultsForPhrase('proof of concept')), ['proof']);
+  t.deepEqual(identifiersOf(corpus.getResultsForPhrase('concept of proof')), []);
+  t.deepEqual(identifiersOf(corpus.getResultsForQuery('"search engine"')), ['concept', 'proof']);
+  // stopwords count in a phrase with a single other term
+  t.deepEqual(identifiersOf(corpus.getResultsForQuery('"proof of"')), ['proof']);
+  // or only near each other, in any order
+  t.deepEqual(identifiersOf(corpus.getResultsForPhrase('engine search', { window: 1 })), ['concept', 'proof']);
+  t.deepEqual(identifiersOf(corpus.getResultsForPhrase('engine search', { window: 5 })), ['concept', 'proof', 'spread']);
+
+  // documents without positions still match on their terms alone
+  const restored = Corpus.fromJSON(corpus.toJSON({ includeText: false }));
+  t.deepEqual(identifiersOf(restored.getResultsForPhrase('concept of proof')), ['concept', 'proof']);
+
+  // the proximity boost favours documents with the query terms close together
+  const plain = new Map(corpus.getResultsForQuery('search engine'));
+  const boosted = new Map(corpus.getResultsForQuery('search engine', { proximity: { window: 3, boost: 1 } }));
+  t.equal(boosted.get('proof'), plain.get('proof') * 2);
+  t.equal(boosted.get('spread'), plain.get('spread'));
+});
+
+tape('Unit tests for TextDocument class', function (t) {
+  t.plan(9);
   const textDoc = TextDocument.from(docsByKvp.get('document3'));
 
   // builder should return instance when already a `Document`.
@@ -99,20 +489,440 @@ tape('Unit tests for TextDocument class', function (t) {
   t.equal(textDoc.getTermFrequency('bit'), 2);
   t.equal(textDoc.getTermFrequency('and'), 1); // stopwords are still present at the document level
   t.equal(textDoc.getTermFrequency('a'), 0); // too short
+
+  // positions count words from zero, including stopwords but not short terms
+  t.ok(textDoc.hasPositions());
+  t.deepEqual(textDoc.getTermPositions('bit'), [5, 11]);
+  t.deepEqual(textDoc.getTermPositions('missing'), []);
+});
+
+tape('Unit tests for NgramDocument class', function (t) {
+  t.plan(10);
+  const text = 'We need a proof of concept, and then a second proof of concept.';
+
+  // by default, bigrams that never contain a stopword
+  const bigrams = new NgramDocument(text, { stopwords: defaultStopwords });
+  t.equal(bigrams.getTermFrequency('proof'), 2);
+  t.equal(bigrams.getTermFrequency('second proof'), 1);
+  t.equal(bigrams.getTermFrequency('proof of'), 0);
+  // n-grams are positioned at their first word
+  t.deepEqual(bigrams.getTermPositions('second proof'), [7]);
+  // the length only counts the words
+  t.equal(bigrams.getLength(), new TextDocument(text).getLength());
+
+  // stopwords may be kept inside an n-gram
+  const inner = new NgramDocument(text, { n: 3, stopwords: defaultStopwords, stopwordRule: 'inner' });
+  t.equal(inner.getTermFrequency('proof of concept'), 2);
+  t.equal(inner.getTermFrequency('of concept'), 0);
+  t.throws(() => new NgramDocument(text, { stopwordRule: 'unknown' }));
+
+  // the corpus builds them from its options, and surfaces phrases in its results
+  const corpus = Corpus.fromKvps([
+    ['one', text],
+    ['two', 'A concept without proof.']
+  ], { ...commonOptions, ngrams: { n: 3, stopwordRule: 'inner' } });
+  t.ok(corpus.getDocument('one') instanceof NgramDocument);
+  t.equal(corpus.getTopTermsForDocument('one')[0][0], 'proof of concept');
+});
+
+tape('Unit tests for FieldedDocument class', function (t) {
+  t.plan(7);
+  const document = new FieldedDocument({
+    title: 'Proof of concept',
+    body: 'A concept needs a proof, and the proof is here.'
+  });
+
+  t.deepEqual(document.getFieldNames(), ['title', 'body']);
+  t.equal(document.getTermFrequency('proof'), 3);
+  t.equal(document.getFieldTermFrequency('title', 'proof'), 1);
+  t.equal(document.getFieldLength('title'), 3);
+  // positions of the body start well after the end of the title, so phrases can not span them
+  t.deepEqual(document.getTermPositions('concept'), [2, 103]);
+
+  // snapshots
+  const restored = FieldedDocument.fromJSON(JSON.parse(JSON.stringify(document)));
+  t.equal(restored.getFieldTermFrequency('body', 'proof'), 2);
+  t.equal(restored.getField('title').getText(), 'Proof of concept');
+});
+
+tape('Unit tests for Corpus fields and BM25F', function (t) {
+  t.plan(14);
+  const docs = [
+    ['a', { title: 'Search engines', body: 'An overview of ranking functions for retrieval.' }],
+    ['b', {
+      title: 'Ranking functions',
+      body: 'How search engines index documents and rank them.'
+    }],
+    ['c', 'Plain text about search and ranking.']
+  ];
+  const withFields = (fields) => Corpus.fromKvps(docs, { ...commonOptions, fields });
+  const corpus = withFields({});
+  t.ok(corpus.getDocument('a') instanceof FieldedDocument);
+
+  // queries can be restricted to a field
+  t.equal(corpus.getResultsForQuery('search').length, 3);
+  t.deepEqual(corpus.getResultsForQuery('title:search').map(d => d[0]), ['a']);
+  t.deepEqual(corpus.getResultsForQuery('body:"search engines"').map(d => d[0]), ['b']);
+  t.equal(corpus.getResultsForQuery('title:"search engines" summary:search').length, 1);
+  // a colon is only a field restriction for the fields of the documents
+  const plain = Corpus.fromKvps([['x', 'Visit http://text for the re:plain version.']]);
+  t.equal(plain.getResultsForQuery('http://text').length, 1);
+  t.equal(plain.getResultsForQuery('+re:plain').length, 1);
+  const [search] = corpus.explain('search', 'a').terms;
+  t.deepEqual(search.fields.map(d => [d.field, d.tf, d.boost]), [['title', 1, 1]]);
+  // terms outside of the field of their clause do not count towards the score
+  const explained = corpus.explain('title:search ranking', 'c');
+  t.deepEqual(explained.terms.map(d => [d.term, d.counted]), [
+    ['search', false], ['ranking', true]
+  ]);
+
+  // boosts and `b` for each field
+  const ranked = (c) => c.getResultsForQuery('search').map(d => d[0]).filter(id => id !== 'c');
+  t.deepEqual(ranked(withFields({ title: { boost: 3 } })), ['a', 'b']);
+  t.deepEqual(ranked(withFields({ body: { boost: 3 } })), ['b', 'a']);
+  const postings = withFields({ body: { b: 0 } }).getPostings('search');
+  t.equal(postings.get('a'), postings.get('b'));
+
+  // changes to the collection and snapshots
+  corpus.getDocumentVector('a');
+  const updated = { title: 'Search', body: 'Plain text about ranking.' };
+  corpus.updateDocument('c', updated);
+  const rebuilt = Corpus.fromKvps([docs[0], docs[1], ['c', updated]], commonOptions);
+  t.deepEqual(corpus.getDocumentVector('a'), rebuilt.getDocumentVector('a'));
+  const boosted = withFields({ title: { boost: 3 } });
+  const restored = Corpus.fromJSON(JSON.stringify(boosted));
+  t.deepEqual(restored.getDocumentVector('b'), boosted.getDocumentVector('b'));
+});
+
+tape('Unit tests for Corpus metadata and filters', function (t) {
+  t.plan(18);
+  const metadata = {
+    document1: { year: 2019, tags: ['short'] },
+    document2: { year: 2021, tags: ['short', 'repetitive'] },
+    document3: { year: 2022 }
+  };
+  const kvps = Array.from(docsByKvp, ([id, text]) => [id, text, metadata[id]]);
+  const corpus = Corpus.fromKvps(kvps, commonOptions);
+  t.deepEqual(corpus.getMetadata('document3'), { year: 2022 });
+  t.equal(corpus.getMetadata('document4'), undefined);
+
+  // filter objects and predicates
+  t.deepEqual(corpus.getDocumentIdentifiers({ tags: 'short' }), ['document1', 'document2']);
+  t.deepEqual(corpus.getDocumentIdentifiers({ year: [2019, 2022] }), ['document1', 'document3']);
+  t.deepEqual(corpus.getDocumentIdentifiers({ year: y => y > 2020, tags: 'short' }), ['document2']);
+  t.deepEqual(corpus.getDocumentIdentifiers((m, id) => id.endsWith('1')), ['document1']);
+
+  // filtered queries, which are filtered before they are ranked
+  const query = 'a bit of a test query';
+  const recent = corpus.getResultsForQuery(query, { filter: { year: y => y > 2020 }, limit: 1 });
+  t.equal(recent.total, 2);
+  t.equal(recent[0][0], 'document3');
+  const phrase = corpus.getResultsForPhrase('test document', { filter: { tags: 'repetitive' } });
+  t.deepEqual(phrase.map(d => d[0]), ['document2']);
+
+  // aggregations over some of the documents
+  const short = { filter: { tags: 'short' } };
+  t.deepEqual(corpus.getTopTermsForDocument('document3', 5, short), []);
+  t.deepEqual(corpus.getCommonTerms('document1', 'document3', 10, short), []);
+  const group = corpus.getTopTermsForDocuments(['document1', 'document3'], 30, short);
+  t.deepEqual(group, corpus.getTopTermsForDocuments(['document1']));
+  // 'number' is also in document 3, which is left out of the rest of the corpus
+  const contrasted = { ...short, contrast: 'logLikelihood' };
+  t.equal(corpus.getTopTermsForDocuments(['document1'], 30, contrasted)[0][0], 'number');
+  const stopwords = corpus.suggestStopwords(short).map(d => d[0]);
+  t.deepEqual(stopwords, ['test', 'document', 'quite', 'short']);
+
+  // changes to the collection and snapshots
+  corpus.addDocument('document4', 'Yet another test document.', { year: 2023 });
+  corpus.updateDocument('document1', 'A test document that was rewritten.');
+  corpus.setMetadata('document3', null);
+  t.deepEqual(corpus.getDocumentIdentifiers({ year: y => y > 2020 }), ['document2', 'document4']);
+  const restored = Corpus.fromJSON(JSON.stringify(corpus));
+  t.deepEqual(restored.getMetadata('document1'), metadata.document1);
+  t.deepEqual(restored.getMetadata('document3'), {});
+
+  // the distance matrix of some of the documents
+  const similarity = new Similarity(corpus);
+  const matrix = similarity.getDistanceMatrix({ tags: 'short' });
+  t.deepEqual(matrix.identifiers, ['document1', 'document2']);
+});
+
+tape('Unit tests for Corpus keyword extraction', function (t) {
+  t.plan(6);
+
+  const corpus = Corpus.fromKvps([
+    ['cats1', 'Cats purr and cats sleep all day long.'],
+    ['pets', 'Cats and dogs are pets.'],
+    ['cats2', 'My cats sleep on the sofa and purr loudly.'],
+    ['dogs', 'Dogs bark and dogs fetch.']
+  ], commonOptions);
+  const group = ['cats1', 'cats2', 'unknown'];
+  const cats = corpus.getTopTermsForDocuments(group, 30).find(d => d[0] === 'cats');
+  const cats1 = corpus.getDocumentVector('cats1').get('cats');
+  const cats2 = corpus.getDocumentVector('cats2').get('cats');
+  t.deepEqual(cats, ['cats', cats1 + cats2], 'weights are added up across the group');
+  t.deepEqual(
+    corpus.getTopTermsForDocuments(['pets'], 30), corpus.getTopTermsForDocument('pets')
+  );
+  // contrasting with the rest of the corpus
+  for (const contrast of ['logLikelihood', 'chiSquare']) {
+    const terms = corpus.getTopTermsForDocuments(group, 30, { contrast }).map(d => d[0]);
+    t.deepEqual(terms.slice(0, 2).sort(), ['purr', 'sleep'], contrast);
+  }
+  const everything = corpus.getDocumentIdentifiers();
+  t.deepEqual(corpus.getTopTermsForDocuments(everything, 30, { contrast: 'chiSquare' }), []);
+  t.throws(() => corpus.getTopTermsForDocuments(group, 30, { contrast: 'tfidf' }));
+});
+
+tape('Unit tests for Tokenizer class', function (t) {
+  t.plan(9);
+  const text = 'The well-known T-1000 can\'t be stopped in 1991.';
+
+  // the default pipeline matches the original behaviour of `TextDocument`
+  const defaultTokenizer = new Tokenizer();
+  const defaultTerms = ['the', 'well', 'known', 'can', 'be', 'stopped', 'in'];
+  t.deepEqual(defaultTokenizer.tokenize(text), defaultTerms);
+  t.equal(Tokenizer.from(defaultTokenizer), defaultTokenizer);
+
+  // tokens keep their surface form and offsets
+  const stopped = defaultTokenizer.with({ stemmer: porterStemmer }).analyze(text)[5];
+  t.deepEqual(stopped, { term: 'stop', surface: 'stopped', start: 31, end: 38 });
+  t.equal(text.slice(stopped.start, stopped.end), 'stopped');
+
+  // keeping numbers, hyphenated words and apostrophes
+  const custom = new Tokenizer({
+    pattern: /[\w'-]+/g,
+    filters: [Tokenizer.minLength(2)],
+    normalizers: [Tokenizer.lowercase, word => word.replace(/'/g, '')]
+  });
+  const terms = custom.tokenize(text);
+  t.deepEqual(terms, ['the', 'well-known', 't-1000', 'cant', 'be', 'stopped', 'in', '1991']);
+
+  // the corpus applies the same pipeline to documents, queries and stopwords
+  const corpus = Corpus.fromKvps([
+    ['movie', text],
+    ['other', 'A well made movie, known to many.']
+  ], { stopwords: defaultStopwords.with(['Can\'t']), tokenizer: custom });
+  t.ok(corpus.getTerms().includes('t-1000'));
+  t.notOk(corpus.getTerms().includes('cant'));
+  t.deepEqual(corpus.getResultsForQuery('T-1000').map(d => d[0]), ['movie']);
+  t.deepEqual(corpus.getResultsForQuery('well-known').map(d => d[0]), ['movie']);
+});
+
+tape('Unit tests for Unicode text', function (t) {
+  t.plan(12);
+  const tokenizer = new Tokenizer();
+
+  // letters of any script, with their combining marks
+  t.deepEqual(tokenizer.tokenize('Η γρήγορη αλεπού'), ['γρήγορη', 'αλεπού']);
+  t.deepEqual(tokenizer.tokenize('Быстрая лиса, 2024'), ['быстрая', 'лиса']);
+  t.deepEqual(tokenizer.tokenize('الثعلب السريع'), ['الثعلب', 'السريع']);
+  t.deepEqual(tokenizer.tokenize('हिन्दी भाषा'), ['हिन्दी', 'भाषा']);
+
+  // Chinese and Japanese runs are split into bigrams, with their offsets
+  const tokens = tokenizer.analyze('I like 東京大学.');
+  t.deepEqual(tokens.map(token => token.term), ['like', '東京', '京大', '大学']);
+  t.deepEqual([tokens[3].start, tokens[3].end], [9, 11]);
+  t.deepEqual(tokenizer.tokenize('猫が好き'), ['猫が', 'が好', '好き']);
+  // a single character is a word of its own
+  t.deepEqual(tokenizer.tokenize('我 爱 猫'), ['我', '爱', '猫']);
+
+  // documents without any words are empty, and do not break the corpus
+  const empty = new TextDocument('!!! ... 42');
+  t.equal(empty.getLength(), 0);
+  const corpus = Corpus.fromKvps([
+    ['tokyo', '東京大学に行きます。'],
+    ['kyoto', '京都大学に行きます。'],
+    ['empty', '...'],
+    ['greek', 'Η γρήγορη αλεπού'],
+    ['cat', '猫']
+  ]);
+  t.deepEqual(corpus.getResultsForQuery('東京大学').map(d => d[0]), ['tokyo']);
+  t.deepEqual(corpus.getResultsForQuery('猫').map(d => d[0]), ['cat']);
+  t.deepEqual(corpus.getResultsForQuery('ΑΛΕΠΟΎ').map(d => d[0]), ['greek']);
+});
+
+tape('Unit tests for stemming', function (t) {
+  t.plan(11);
+
+  // the Porter stemmer
+  t.equal(porterStemmer('concepts'), 'concept');
+  t.equal(porterStemmer('studies'), 'studi');
+  t.equal(porterStemmer('studying'), 'studi');
+  t.equal(porterStemmer('relational'), 'relat');
+  t.equal(porterStemmer('élan'), 'élan'); // only English letters are stemmed
+
+  // documents keep track of the surface forms of each stem
+  const text = 'Studies of studies, and one more study.';
+  const textDoc = new TextDocument(text, { stemmer: porterStemmer });
+  t.equal(textDoc.getTermFrequency('studi'), 3);
+  t.deepEqual(Array.from(textDoc.getSurfaceForms('studi')), [['studies', 2], ['study', 1]]);
+
+  // the corpus stems documents, queries and stopwords alike
+  const corpus = Corpus.fromKvps([
+    ['one', 'These studies test the concepts.'],
+    ['two', 'A study of one concept.'],
+    ['three', 'Nothing in common here.']
+  ], { ...commonOptions, stemmer: porterStemmer });
+  t.equal(corpus.getCollectionFrequency('concept'), 2);
+  t.equal(corpus.getCollectionFrequency('these'), 0); // a stopword
+  t.deepEqual(corpus.getResultsForQuery('studying').map(d => d[0]).sort(), ['one', 'two']);
+  t.equal(corpus.getSurfaceForm('studi'), 'studies');
 });
 
 tape('Unit tests for Similarity class', function (t) {
-  t.plan(2);
-  const similarity = new Similarity(Corpus.fromKvps(docsByKvp, commonOptions));
+  t.plan(18);
+  const corpus = Corpus.fromKvps(docsByKvp, commonOptions);
+  const similarity = new Similarity(corpus);
   const distanceMatrix = similarity.getDistanceMatrix();
   t.equal(distanceMatrix.identifiers.length, 3);
   // The first two documents should be more similar to each other (i.e. less distant) than the
   // first and third.
   t.ok(distanceMatrix.matrix[0][1] < distanceMatrix.matrix[0][2]);
+
+  // Sparse vectors are compared term by term, regardless of the order of their keys
+  const vector1 = new Map([['quick', 1], ['fox', 2]]);
+  const vector2 = new Map([['fox', 2], ['dog', 1], ['quick', 1]]);
+  t.equal(Similarity.cosineSimilarity(vector1, vector2).toFixed(6), (5 / Math.sqrt(30)).toFixed(6));
+  t.equal(Similarity.cosineSimilarity(vector1, new Map([['dog', 1]])), 0);
+
+  // nearest neighbours, of a document and of a new text
+  const [nearest] = similarity.getMostSimilar('document1', 1);
+  t.deepEqual(nearest, ['document2', 1 - distanceMatrix.matrix[0][1]]);
+  t.deepEqual(similarity.getMostSimilar('document1').map(d => d[0]), ['document2', 'document3']);
+  const filter = (metadata, id) => id !== 'document2';
+  const filtered = similarity.getMostSimilar('document1', 10, { filter });
+  t.deepEqual(filtered.map(d => d[0]), ['document3']);
+  t.deepEqual(corpus.vectorize(docsByKvp.get('document3')), corpus.getDocumentVector('document3'));
+  const toText = similarity.getMostSimilarToText('A tiny bit different, and a bit longer', 2);
+  t.equal(toText[0][0], 'document3');
+  t.deepEqual(similarity.getMostSimilarToText('unrelated words only'), []);
+
+  // other measures
+  const binary = (...terms) => new Map(terms.map(term => [term, 1]));
+  t.equal(Similarity.jaccardSimilarity(binary('a', 'b'), binary('b', 'c')), 1 / 3);
+  t.equal(Similarity.jaccardSimilarity(vector1, vector2), 3 / 4);
+  t.equal(Similarity.dotProduct(vector1, vector2), 5);
+  t.equal(Similarity.euclideanSimilarity(vector1, vector2), 0.5);
+  t.equal(Similarity.bm25Similarity(vector1, vector2), 3);
+  t.throws(() => new Similarity(corpus, { measure: 'manhattan' }));
+  // distances stay between 0 and 1, even for measures that are not
+  const dot = new Similarity(corpus, { measure: 'dot' }).getDistanceMatrix().matrix;
+  t.equal(Math.min(dot[0][1], dot[0][2], dot[1][2]), 0);
+  // documents without terms in common still have a Euclidean distance
+  const euclidean = new Similarity(corpus, { measure: 'euclidean' });
+  t.equal(euclidean.getMostSimilarToText('unrelated words only').length, 3);
+});
+
+tape('Unit tests for Clustering class', function (t) {
+  t.plan(12);
+  const corpus = Corpus.fromKvps([
+    ['cats1', 'Cats purr and cats sleep all day long.'],
+    ['stocks1', 'Stock markets fell as interest rates rose.'],
+    ['cats2', 'My cats sleep on the sofa and purr loudly.'],
+    ['stocks2', 'Interest rates and stock prices move markets.'],
+    ['cats3', 'Kittens and cats like to sleep and purr.'],
+    ['stocks3', 'Markets rally when interest rates fall and stock prices rise.']
+  ], commonOptions);
+  const topics = [['cats1', 'cats2', 'cats3'], ['stocks1', 'stocks2', 'stocks3']];
+  const toTopics = (clusters) => clusters.map(c => c.identifiers.slice().sort()).sort();
+  const clustering = new Clustering(corpus);
+
+  // agglomerative clustering, with each linkage
+  for (const linkage of ['single', 'complete', 'average']) {
+    const dendrogram = clustering.agglomerative({ linkage });
+    t.deepEqual(toTopics(Clustering.cut(dendrogram, 2)), topics);
+  }
+  const dendrogram = clustering.agglomerative();
+  t.equal(dendrogram.identifiers.length, 6);
+  t.ok(dendrogram.children.every(child => child.distance <= dendrogram.distance));
+  t.throws(() => clustering.agglomerative({ linkage: 'ward' }));
+  // an empty corpus has no tree, and so no clusters
+  const empty = new Clustering(Corpus.fromKvps([])).agglomerative();
+  t.equal(empty, null);
+  t.deepEqual(Clustering.cut(empty, 2), []);
+
+  // k-means, and the labels of the clusters
+  const clusters = clustering.kMeans(2);
+  t.deepEqual(toTopics(clusters), topics);
+  const cats = clusters.find(cluster => cluster.identifiers.includes('cats1'));
+  t.ok(cats.terms.slice(0, 3).some(([term]) => term === 'cats'));
+  t.equal(clustering.kMeans(10, { filter: { topic: 'none' } }).length, 0);
+  const contrasted = new Clustering(corpus, { maxTerms: 3, contrast: 'logLikelihood' });
+  const [labels] = contrasted.kMeans(2).map(cluster => cluster.terms.map(d => d[0]).sort());
+  t.deepEqual(labels, ['cats', 'purr', 'sleep']);
+});
+
+tape('Unit tests for NearDuplicates class', function (t) {
+  t.plan(8);
+  const story = 'The quick brown fox jumps over the lazy dog, then runs along the river bank ' +
+    'until it reaches the old mill by the forest';
+  const weather = 'Today the weather is sunny and warm, with a light breeze from the west.';
+  const kvps = [
+    ['story', story],
+    ['weather', weather],
+    ['edited', story.replace('old mill', 'old barn')],
+    ['extended', story + ' at night'],
+    ['reordered', 'The weather today is sunny and warm, with a light breeze from the west coast.']
+  ];
+  const corpus = Corpus.fromKvps(kvps, commonOptions);
+
+  // sets of terms, and runs of terms that also depend on their order
+  const terms = new NearDuplicates(corpus, { threshold: 0.7 });
+  t.deepEqual(terms.getGroups(), [['story', 'edited', 'extended'], ['weather', 'reordered']]);
+  const shingles = new NearDuplicates(corpus, { threshold: 0.7, shingleSize: 2 });
+  t.deepEqual(shingles.getGroups(), [['story', 'edited', 'extended']]);
+  t.deepEqual(shingles.getDuplicates('story').map(d => d[0]), ['extended', 'edited']);
+  t.deepEqual(shingles.getDuplicates('missing'), []);
+  t.equal(terms.getSignature('story').length, 128);
+
+  // shingles are only made of words, even when the terms include n-grams
+  const ngramCorpus = Corpus.fromKvps(kvps, { ...commonOptions, ngrams: { n: 2 } });
+  const ngramShingles = new NearDuplicates(ngramCorpus, { threshold: 0.7, shingleSize: 2 });
+  t.deepEqual(ngramShingles.getDuplicates('story'), shingles.getDuplicates('story'));
+
+  // the index follows changes to the corpus
+  corpus.addDocument('copy', weather);
+  t.deepEqual(terms.getDuplicates('copy')[0], ['weather', 1]);
+  t.deepEqual(terms.getSignature('copy'), terms.getSignature('weather'));
+});
+
+tape('Unit tests for Highlighter class', function (t) {
+  t.plan(10);
+  const text = 'Cats are common pets. Many people like them for their calm nature and soft fur. ' +
+    'A cat sleeps for most of the day, and cats purr when they are content.';
+  const corpus = Corpus.fromKvps([
+    ['pets', text],
+    ['dogs', 'Dogs bark and wag their tails.'],
+    ['fielded', { title: 'Why cats purr', body: 'A cat will purr when it is content.' }]
+  ], { ...commonOptions, stemmer: porterStemmer });
+  const highlighter = new Highlighter(corpus, { snippetLength: 8 });
+
+  // every occurrence of the query terms, tokenized as the document was
+  const highlights = highlighter.getHighlights('cats purr -dogs', 'pets');
+  t.deepEqual(highlights.map(h => text.slice(h.start, h.end)), ['Cats', 'cat', 'cats', 'purr']);
+  t.deepEqual(highlights[0], { term: 'cat', start: 0, end: 4, field: null });
+
+  // snippets, ranked by the weights and density of the query terms
+  const snippets = highlighter.getSnippets('cats purr', 'pets');
+  t.ok(snippets[0].text.includes('cats purr'));
+  t.equal(snippets[0].text, text.slice(snippets[0].start, snippets[0].end));
+  t.ok(snippets[0].highlights.every(h => h.start >= snippets[0].start && h.end <= snippets[0].end));
+  t.ok(snippets.every((snippet, i) => i === 0 || snippet.score <= snippets[i - 1].score));
+  const apart = (a, b) => a.end <= b.start || b.end <= a.start;
+  t.ok(snippets.every((a, i) => snippets.slice(i + 1).every(b => apart(a, b))));
+  t.equal(highlighter.getSnippets('cats purr', 'pets', { maxSnippets: 1 }).length, 1);
+
+  // fields, and documents without text
+  const fields = highlighter.getHighlights('purr', 'fielded').map(h => h.field);
+  t.deepEqual(fields, ['title', 'body']);
+  const snapshot = corpus.toJSON({ includeText: false });
+  const restored = Corpus.fromJSON(snapshot, { stemmer: porterStemmer });
+  t.deepEqual(new Highlighter(restored).getSnippets('cats', 'pets'), []);
 });
 
 tape('Unit tests for Stopwords class', function (t) {
-  t.plan(9);
+  t.plan(14);
   const customStopwords = ['test', 'words'];
 
   const customStopwordsOnly = new Stopwords(customStopwords);
@@ -129,4 +939,61 @@ tape('Unit tests for Stopwords class', function (t) {
   t.ok(defaultPlusCustomStopwords.includes('test'));
   t.ok(defaultPlusCustomStopwords.includes('words'));
   t.ok(defaultPlusCustomStopwords.includes('the'));
+
+  // bundled lists for other languages
+  t.ok(Stopwords.getLanguages().includes('de'));
+  t.ok(Stopwords.forLanguage('de').includes('und'));
+  t.notOk(Stopwords.forLanguage('de').includes('the'));
+  t.deepEqual(Stopwords.forLanguage('en').getStopwordList(), defaultStopwords.getStopwordList());
+  t.throws(() => Stopwords.forLanguage('xx'));
+});
+
+tape('Unit tests for stopword suggestions', function (t) {
+  t.plan(6);
+
+  const corpus = Corpus.fromKvps(docsByKvp, commonOptions);
+  // 'test' and 'document' appear in every document
+  const suggestions = corpus.suggestStopwords({ maxDocumentFraction: 0.9 });
+  t.deepEqual(suggestions, [['test', 1], ['document', 1]]);
+  t.equal(corpus.suggestStopwords({ maxDocumentFraction: 0.9, limit: 1 }).length, 1);
+  // terms in 2 of the 3 documents are suggested by default, or by their weight
+  t.ok(corpus.suggestStopwords().some(d => d[0] === 'short'));
+  const byWeight = corpus.suggestStopwords({ maxDocumentFraction: 1, minIdf: 0.5 });
+  t.deepEqual(byWeight.map(d => d[0]), ['test', 'document']);
+
+  // rebuilding the corpus with the suggested stopwords
+  const stopwords = corpus.withSuggestedStopwords({ maxDocumentFraction: 0.9 });
+  const rebuilt = Corpus.fromKvps(docsByKvp, { stopwords });
+  t.notOk(rebuilt.getTerms().includes('test'));
+  t.ok(rebuilt.getStopwords().includes('and'));
+});
+
+tape('Unit tests for language detection', function (t) {
+  t.plan(11);
+  const texts = new Map([
+    ['english', 'The fox is quick and the dog is lazy, but they are friends.'],
+    ['german', 'Der Fuchs ist schnell und der Hund ist faul, aber sie sind Freunde.'],
+    ['french', 'Le renard est rapide et le chien est paresseux, mais ils sont amis.']
+  ]);
+
+  // the detector
+  const detector = new LanguageDetector();
+  t.equal(detector.detect(texts.get('english')), 'en');
+  t.equal(detector.detect(texts.get('german')), 'de');
+  t.equal(detector.detect(texts.get('french')), 'fr');
+  t.equal(detector.detect('Fuchs Hund'), null);
+  t.equal(detector.getScores(texts.get('german'))[0][0], 'de');
+
+  // the corpus tags each document and applies the stopwords of its language
+  const corpus = Corpus.fromKvps(texts, { detectLanguage: true });
+  t.equal(corpus.getDocument('german').getLanguage(), 'de');
+  t.notOk(corpus.getDocumentVector('german').has('und'));
+  t.ok(corpus.getStopwords('french').includes('et'));
+  t.equal(corpus.getStopwords(), corpus.getStopwords('unknown'));
+  const explanation = corpus.explain('der Fuchs und', 'german');
+  t.deepEqual([explanation.stopwords, explanation.outOfVocabulary], [['der', 'und'], []]);
+
+  // languages are kept in snapshots
+  const restored = Corpus.fromJSON(corpus.toJSON({ includeText: false }));
+  t.equal(restored.getDocument('french').getLanguage(), 'fr');
 });